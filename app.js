@@ -50,6 +50,17 @@ const order = require("./controller/order");
 const conversation = require("./controller/conversation");
 const message = require("./controller/message");
 const withdraw = require("./controller/withdraw");
+const role = require("./controller/role");
+const shopMember = require("./controller/shopMember");
+const cron = require("./controller/cron");
+const audit = require("./controller/audit");
+const apiKey = require("./controller/apiKey");
+const category = require("./controller/category");
+const review = require("./controller/review");
+const question = require("./controller/question");
+const cart = require("./controller/cart");
+const recommendation = require("./controller/recommendation");
+const view = require("./controller/view");
 
 app.use("/api/v2/user", user);
 app.use("/api/v2/conversation", conversation);
@@ -61,6 +72,17 @@ app.use("/api/v2/event", event);
 app.use("/api/v2/coupon", coupon);
 app.use("/api/v2/payment", payment);
 app.use("/api/v2/withdraw", withdraw);
+app.use("/api/v2/role", role);
+app.use("/api/v2/shop-member", shopMember);
+app.use("/api/v2/cron", cron);
+app.use("/api/v2/audit", audit);
+app.use("/api/v2/api-key", apiKey);
+app.use("/api/v2/category", category);
+app.use("/api/v2/review", review);
+app.use("/api/v2/question", question);
+app.use("/api/v2/cart", cart);
+app.use("/api/v2/recommendation", recommendation);
+app.use("/api/v2/view", view);
 
 // it's for ErrorHandling
 app.use(ErrorHandler);
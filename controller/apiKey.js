@@ -0,0 +1,127 @@
+const express = require("express");
+const router = express.Router();
+const ApiKey = require("../model/apiKey");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isSeller, isShopOwner } = require("../middleware/auth");
+const { generateApiKey } = require("../utils/apiKey");
+const recordAudit = require("../utils/audit");
+
+// get the scopes a key can be given --- shop owner
+router.get(
+  "/get-all-scopes",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    res.status(200).json({
+      success: true,
+      scopes: ApiKey.SCOPES,
+    });
+  })
+);
+
+// create an api key, the key itself is only returned here --- shop owner
+router.post(
+  "/create-api-key",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { name, scopes } = req.body;
+
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return next(
+          new ErrorHandler("Please provide a name and at least one scope!", 400)
+        );
+      }
+
+      const { key, prefix, keyHash } = generateApiKey();
+
+      const apiKey = await ApiKey.create({
+        shop: req.seller._id,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+      });
+
+      await recordAudit(req, {
+        action: "shop.apiKey.create",
+        targetType: "ApiKey",
+        targetId: apiKey._id,
+        after: { name: apiKey.name, prefix, scopes: apiKey.scopes },
+      });
+
+      res.status(201).json({
+        success: true,
+        apiKey: {
+          _id: apiKey._id,
+          name: apiKey.name,
+          prefix,
+          scopes: apiKey.scopes,
+          createdAt: apiKey.createdAt,
+        },
+        key,
+        message: "Copy this key now, it won't be shown again!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+// get all api keys of the shop --- shop owner
+router.get(
+  "/get-all-api-keys",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const apiKeys = await ApiKey.find({ shop: req.seller._id }).sort({
+        createdAt: -1,
+      });
+
+      res.status(200).json({
+        success: true,
+        apiKeys,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// revoke an api key --- shop owner
+router.delete(
+  "/revoke-api-key/:id",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, shop: req.seller._id, revokedAt: null },
+        { revokedAt: Date.now() }
+      );
+
+      if (!apiKey) {
+        return next(new ErrorHandler("API key not found with this id", 404));
+      }
+
+      await recordAudit(req, {
+        action: "shop.apiKey.revoke",
+        targetType: "ApiKey",
+        targetId: apiKey._id,
+        before: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "API key revoked successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const AuditLog = require("../model/auditLog");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated, hasPermission } = require("../middleware/auth");
+
+const MAX_PAGE_SIZE = 100;
+
+// get audit logs with filters --- admin
+router.get(
+  "/get-audit-logs",
+  isAuthenticated,
+  hasPermission("audit:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { actorId, actorKind, action, targetType, targetId, from, to } =
+        req.query;
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 20, 1),
+        MAX_PAGE_SIZE
+      );
+
+      const filter = {};
+
+      for (const [name, value] of [
+        ["actorId", actorId],
+        ["targetId", targetId],
+      ]) {
+        if (value && !mongoose.isValidObjectId(value)) {
+          return next(new ErrorHandler(`Invalid ${name}`, 400));
+        }
+      }
+
+      if (actorId) filter["actor.id"] = String(actorId);
+      // plain strings only, an object here would be read as an operator
+      if (actorKind) filter["actor.kind"] = String(actorKind);
+      if (action) filter.action = String(action);
+      if (targetType) filter["target.type"] = String(targetType);
+      if (targetId) filter["target.id"] = String(targetId);
+
+      if (from || to) {
+        filter.createdAt = {};
+
+        for (const [name, value, operator] of [
+          ["from", from, "$gte"],
+          ["to", to, "$lte"],
+        ]) {
+          if (!value) continue;
+
+          const date = new Date(String(value));
+          if (Number.isNaN(date.getTime())) {
+            return next(new ErrorHandler(`Invalid ${name} date`, 400));
+          }
+          filter.createdAt[operator] = date;
+        }
+      }
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        logs,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require("express");
+const router = express.Router();
+const Cart = require("../model/cart");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const {
+  checkQuantity,
+  isSameLine,
+  revalidateCart,
+} = require("../utils/cart");
+
+const MAX_CART_LINES = 50;
+
+const cartOf = (user) =>
+  Cart.findOneAndUpdate(
+    { user: user._id },
+    { $setOnInsert: { user: user._id } },
+    { upsert: true, new: true }
+  );
+
+// revalidate the cart, remember the prices the buyer is shown and send it
+const sendCart = async (res, cart, statusCode = 200) => {
+  const { items, subtotal, changed } = await revalidateCart(cart);
+
+  await cart.save();
+
+  res.status(statusCode).json({
+    success: true,
+    cart: { _id: cart._id, items, subtotal, changed },
+  });
+};
+
+// get the cart with every line checked against current prices and stock
+router.get(
+  "/get-cart",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      await sendCart(res, await cartOf(req.user));
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// add a product, or more of it when it is in the cart already
+router.post(
+  "/add-to-cart",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { productId, variantId, qty = 1 } = req.body;
+
+      if (!Number.isInteger(qty) || qty < 1) {
+        return next(new ErrorHandler("Please enter a valid quantity", 400));
+      }
+
+      const cart = await cartOf(req.user);
+      const line = cart.items.find((item) =>
+        isSameLine(item, productId, variantId)
+      );
+
+      if (!line && cart.items.length >= MAX_CART_LINES) {
+        return next(
+          new ErrorHandler(`Your cart can hold up to ${MAX_CART_LINES} items`, 400)
+        );
+      }
+
+      const total = (line ? line.qty : 0) + qty;
+      const { model, unit } = await checkQuantity(productId, variantId, total);
+
+      if (line) {
+        line.qty = total;
+        line.price = unit.price;
+      } else {
+        cart.items.push({ product: productId, model, variantId, qty, price: unit.price });
+      }
+
+      await sendCart(res, cart, 201);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 500));
+    }
+  })
+);
+
+// change the quantity of a cart line
+router.put(
+  "/update-cart-item/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const cart = await cartOf(req.user);
+      const line = cart.items.id(req.params.id);
+
+      if (!line) {
+        return next(new ErrorHandler("Item not found in your cart", 404));
+      }
+
+      const { unit } = await checkQuantity(
+        line.product,
+        line.variantId,
+        req.body.qty
+      );
+
+      line.qty = req.body.qty;
+      line.price = unit.price;
+
+      await sendCart(res, cart);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 500));
+    }
+  })
+);
+
+// remove a line from the cart
+router.delete(
+  "/remove-cart-item/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const cart = await cartOf(req.user);
+      const line = cart.items.id(req.params.id);
+
+      if (!line) {
+        return next(new ErrorHandler("Item not found in your cart", 404));
+      }
+
+      line.deleteOne();
+
+      await sendCart(res, cart);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// move the cart kept in the browser before login into the user's cart.
+// Quantities of lines in both are added up to what is in stock, items that
+// can't be bought are skipped and returned.
+router.post(
+  "/merge-cart",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items)) {
+        return next(new ErrorHandler("Items must be a list", 400));
+      }
+
+      const cart = await cartOf(req.user);
+      const skipped = [];
+
+      for (const { productId, variantId, qty } of items) {
+        const line = cart.items.find((item) =>
+          isSameLine(item, productId, variantId)
+        );
+
+        if (!line && cart.items.length >= MAX_CART_LINES) {
+          skipped.push({ productId, variantId, message: "Your cart is full" });
+          continue;
+        }
+
+        try {
+          // make sure the item can be bought at all before capping to stock
+          const { model, unit } = await checkQuantity(productId, variantId, 1);
+          const added = Math.max(parseInt(qty, 10) || 1, 1);
+          const total = Math.min((line ? line.qty : 0) + added, unit.stock);
+
+          if (line) {
+            line.qty = total;
+          } else {
+            cart.items.push({ product: productId, model, variantId, qty: total, price: unit.price });
+          }
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          skipped.push({ productId, variantId, message: error.message });
+        }
+      }
+
+      const { items: lines, subtotal, changed } = await revalidateCart(cart);
+
+      await cart.save();
+
+      res.status(200).json({
+        success: true,
+        cart: { _id: cart._id, items: lines, subtotal, changed },
+        skipped,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require("express");
+const router = express.Router();
+const cloudinary = require("cloudinary");
+const Category = require("../model/category");
+const Product = require("../model/product");
+const Event = require("../model/event");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const recordAudit = require("../utils/audit");
+const { isAuthenticated, hasPermission } = require("../middleware/auth");
+const { slugify, buildCategoryTree } = require("../utils/category");
+
+const uploadIcon = async (icon) => {
+  const result = await cloudinary.v2.uploader.upload(icon, {
+    folder: "categories",
+  });
+
+  return { public_id: result.public_id, url: result.secure_url };
+};
+
+// the parent a category is put under, null for a top level category
+const findParent = async (parentId) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Category.findById(parentId);
+
+  if (!parent) {
+    throw new ErrorHandler("Parent category not found", 404);
+  }
+
+  return parent;
+};
+
+// get the category tree with product counts
+router.get(
+  "/get-category-tree",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const [categories, counts] = await Promise.all([
+        Category.find().sort({ sortOrder: 1, name: 1 }),
+        Product.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+      ]);
+
+      const countByCategory = new Map(
+        counts
+          .filter((count) => count._id)
+          .map((count) => [count._id.toString(), count.count])
+      );
+
+      res.status(200).json({
+        success: true,
+        categories: buildCategoryTree(categories, countByCategory),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// create category --- admin
+router.post(
+  "/create-category",
+  isAuthenticated,
+  hasPermission("categories:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { name, parent: parentId, icon, sortOrder } = req.body;
+
+      if (!name) {
+        return next(new ErrorHandler("Category name is required", 400));
+      }
+
+      const slug = slugify(req.body.slug || name);
+
+      if (await Category.exists({ slug })) {
+        return next(new ErrorHandler("Category already exists!", 400));
+      }
+
+      const parent = await findParent(parentId);
+
+      const category = await Category.create({
+        name,
+        slug,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        icon: icon ? await uploadIcon(icon) : undefined,
+        sortOrder,
+      });
+
+      await recordAudit(req, {
+        action: "category.create",
+        targetType: "Category",
+        targetId: category._id,
+        after: category,
+      });
+
+      res.status(201).json({
+        success: true,
+        category,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
+
+// update category, moving it moves its whole branch --- admin
+router.put(
+  "/update-category/:id",
+  isAuthenticated,
+  hasPermission("categories:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { name, slug, parent: parentId, icon, sortOrder } = req.body;
+
+      const category = await Category.findById(req.params.id);
+
+      if (!category) {
+        return next(new ErrorHandler("Category not found with this id", 404));
+      }
+
+      const before = category.toObject();
+
+      if (name !== undefined) {
+        category.name = name;
+      }
+      if (sortOrder !== undefined) {
+        category.sortOrder = sortOrder;
+      }
+
+      if (slug !== undefined) {
+        const newSlug = slugify(slug);
+
+        if (await Category.exists({ slug: newSlug, _id: { $ne: category._id } })) {
+          return next(new ErrorHandler("Category already exists!", 400));
+        }
+        category.slug = newSlug;
+      }
+
+      const moved = parentId !== undefined;
+
+      if (moved) {
+        const parent = await findParent(parentId);
+
+        if (
+          parent &&
+          (parent._id.equals(category._id) ||
+            parent.ancestors.some((id) => id.equals(category._id)))
+        ) {
+          return next(
+            new ErrorHandler("A category can not be moved under itself", 400)
+          );
+        }
+
+        category.parent = parent ? parent._id : null;
+        category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+      }
+
+      if (icon) {
+        if (category.icon && category.icon.public_id) {
+          await cloudinary.v2.uploader.destroy(category.icon.public_id);
+        }
+        category.icon = await uploadIcon(icon);
+      }
+
+      await category.save();
+
+      if (moved) {
+        const descendants = await Category.find({ ancestors: category._id });
+
+        for (const descendant of descendants) {
+          const index = descendant.ancestors.findIndex((id) =>
+            id.equals(category._id)
+          );
+          descendant.ancestors = [
+            ...category.ancestors,
+            category._id,
+            ...descendant.ancestors.slice(index + 1),
+          ];
+          await descendant.save();
+        }
+      }
+
+      await recordAudit(req, {
+        action: "category.update",
+        targetType: "Category",
+        targetId: category._id,
+        before,
+        after: category,
+      });
+
+      res.status(200).json({
+        success: true,
+        category,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
+
+// turn the free-text categories products and events had before into
+// categories, matched by slug --- admin
+router.post(
+  "/migrate-legacy-categories",
+  isAuthenticated,
+  hasPermission("categories:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      // the raw collections, the models would try to cast the old strings
+      const collections = [Product.collection, Event.collection];
+      const legacy = { category: { $type: "string" } };
+
+      const names = new Set();
+      for (const collection of collections) {
+        for (const name of await collection.distinct("category", legacy)) {
+          names.add(name);
+        }
+      }
+
+      const migrated = [];
+
+      for (const name of names) {
+        const slug = slugify(name);
+
+        if (!slug) continue;
+
+        let category = await Category.findOne({ slug });
+        if (!category) {
+          category = await Category.create({ name: name.trim(), slug });
+        }
+
+        let count = 0;
+        for (const collection of collections) {
+          const result = await collection.updateMany(
+            { category: name },
+            { $set: { category: category._id } }
+          );
+          count += result.modifiedCount;
+        }
+
+        migrated.push({ name, category: category._id, count });
+      }
+
+      await recordAudit(req, {
+        action: "category.migrate",
+        targetType: "Category",
+        after: { migrated },
+      });
+
+      res.status(200).json({
+        success: true,
+        migrated,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// delete an empty category --- admin
+router.delete(
+  "/delete-category/:id",
+  isAuthenticated,
+  hasPermission("categories:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const category = await Category.findById(req.params.id);
+
+      if (!category) {
+        return next(new ErrorHandler("Category not found with this id", 404));
+      }
+
+      const [children, products, events] = await Promise.all([
+        Category.countDocuments({ parent: category._id }),
+        Product.countDocuments({ category: category._id }),
+        Event.countDocuments({ category: category._id }),
+      ]);
+
+      if (children || products || events) {
+        return next(
+          new ErrorHandler(
+            `Category still has ${children} subcategories, ${products} products and ${events} events`,
+            400
+          )
+        );
+      }
+
+      if (category.icon && category.icon.public_id) {
+        await cloudinary.v2.uploader.destroy(category.icon.public_id);
+      }
+
+      await category.deleteOne();
+
+      await recordAudit(req, {
+        action: "category.delete",
+        targetType: "Category",
+        targetId: category._id,
+        before: category,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Category deleted successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
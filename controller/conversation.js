@@ -2,7 +2,7 @@ const Conversation = require("../model/conversation");
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const express = require("express");
-const { isSeller, isAuthenticated } = require("../middleware/auth");
+const { isSeller, isAuthenticated, sellerCan } = require("../middleware/auth");
 const router = express.Router();
 
 // create a new conversation
@@ -41,6 +41,7 @@ router.post(
 router.get(
   "/get-all-conversation-seller/:id",
   isSeller,
+  sellerCan("conversations:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const conversations = await Conversation.find({
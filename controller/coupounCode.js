@@ -2,14 +2,17 @@ const express = require("express");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const Shop = require("../model/shop");
 const ErrorHandler = require("../utils/ErrorHandler");
-const { isSeller } = require("../middleware/auth");
+const { isSeller, sellerCan } = require("../middleware/auth");
 const CoupounCode = require("../model/coupounCode");
+const { sellerActor } = require("../utils/shopRoles");
+const recordAudit = require("../utils/audit");
 const router = express.Router();
 
 // create coupoun code
 router.post(
   "/create-coupon-code",
   isSeller,
+  sellerCan("coupons:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const isCoupounCodeExists = await CoupounCode.find({
@@ -20,7 +23,10 @@ router.post(
         return next(new ErrorHandler("Coupoun code already exists!", 400));
       }
 
-      const coupounCode = await CoupounCode.create(req.body);
+      const coupounCode = await CoupounCode.create({
+        ...req.body,
+        createdBy: sellerActor(req),
+      });
 
       res.status(201).json({
         success: true,
@@ -36,6 +42,7 @@ router.post(
 router.get(
   "/get-coupon/:id",
   isSeller,
+  sellerCan("coupons:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const couponCodes = await CoupounCode.find({ shopId: req.seller.id });
@@ -53,13 +60,24 @@ router.get(
 router.delete(
   "/delete-coupon/:id",
   isSeller,
+  sellerCan("coupons:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const couponCode = await CoupounCode.findByIdAndDelete(req.params.id);
+      const couponCode = await CoupounCode.findOneAndDelete({
+        _id: req.params.id,
+        shopId: req.seller._id.toString(),
+      });
 
       if (!couponCode) {
         return next(new ErrorHandler("Coupon code dosen't exists!", 400));
       }
+
+      await recordAudit(req, {
+        action: "coupon.delete",
+        targetType: "CoupounCode",
+        targetId: couponCode._id,
+        before: couponCode,
+      });
       res.status(201).json({
         success: true,
         message: "Coupon code deleted successfully!",
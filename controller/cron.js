@@ -0,0 +1,104 @@
+const express = require("express");
+const router = express.Router();
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isCron } = require("../middleware/auth");
+const { purgeScheduledDeletions } = require("../utils/accountData");
+const { purgeExpiredRegistrations } = require("../utils/pendingRegistration");
+const { releaseExpiredReservations } = require("../utils/stock");
+const { recomputeCoPurchases } = require("../utils/recommendations");
+const { sendWishlistNotifications } = require("../utils/wishlist");
+
+// delete accounts whose deletion grace period is over
+router.get(
+  "/purge-deleted-accounts",
+  isCron,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const deleted = await purgeScheduledDeletions();
+
+      res.status(200).json({
+        success: true,
+        deleted,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// delete sign ups that were never activated, with their avatars
+router.get(
+  "/purge-expired-registrations",
+  isCron,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const deleted = await purgeExpiredRegistrations();
+
+      res.status(200).json({
+        success: true,
+        deleted,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// cancel unpaid orders whose stock reservation ran out
+router.get(
+  "/release-expired-reservations",
+  isCron,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const released = await releaseExpiredReservations();
+
+      res.status(200).json({
+        success: true,
+        released,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// rebuild the products bought together from the orders
+router.get(
+  "/recompute-recommendations",
+  isCron,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const pairs = await recomputeCoPurchases();
+
+      res.status(200).json({
+        success: true,
+        pairs,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// email users about price drops and restocks of the products they wishlisted
+router.get(
+  "/send-wishlist-notifications",
+  isCron,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { products, sent, failed } = await sendWishlistNotifications();
+
+      res.status(200).json({
+        success: true,
+        products,
+        sent,
+        failed,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -3,7 +3,8 @@ const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const Shop = require("../model/shop");
 const Event = require("../model/event");
 const ErrorHandler = require("../utils/ErrorHandler");
-const { isSeller, isAdmin, isAuthenticated } = require("../middleware/auth");
+const { resolveCategory } = require("../utils/category");
+const { isSeller, hasPermission, isAuthenticated } = require("../middleware/auth");
 const router = express.Router();
 const cloudinary = require("cloudinary");
 
@@ -17,6 +18,8 @@ router.post(
       if (!shop) {
         return next(new ErrorHandler("Shop Id is invalid!", 400));
       } else {
+        const category = await resolveCategory(req.body.category);
+
         let images = [];
 
         if (typeof req.body.images === "string") {
@@ -41,6 +44,7 @@ router.post(
         const productData = req.body;
         productData.images = imagesLinks;
         productData.shop = shop;
+        productData.category = category._id;
 
         const event = await Event.create(productData);
 
@@ -118,7 +122,7 @@ router.delete(
 router.get(
   "/admin-all-events",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("events:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const events = await Event.find().sort({
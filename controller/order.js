@@ -1,18 +1,85 @@
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
-const { isAuthenticated, isSeller, isAdmin } = require("../middleware/auth");
+const {
+  isAuthenticated,
+  isSellerOrApiKey,
+  sellerCan,
+  hasPermission,
+} = require("../middleware/auth");
 const Order = require("../model/order");
 const Shop = require("../model/shop");
-const Product = require("../model/product");
-
-// create new order
+const Cart = require("../model/cart");
+const CoupounCode = require("../model/coupounCode");
+const { revalidateCart, orderItemsOf } = require("../utils/cart");
+const { sellerActor } = require("../utils/shopRoles");
+const {
+  resolveCartVariants,
+  reserveCart,
+  releaseCart,
+  isCashOnDelivery,
+  reservationFor,
+  confirmReservation,
+  commitOrderStock,
+  releaseOrderStock,
+} = require("../utils/stock");
+const { verifyPaymentInfo } = require("../utils/payment");
+
+// place an order for each shop in the user's cart, at the current prices
 router.post(
   "/create-order",
+  isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { cart, shippingAddress, user, totalPrice, paymentInfo } = req.body;
+      const { addressId, couponCode } = req.body;
+
+      let { shippingAddress } = req.body;
+
+      // copy the saved address so later address book edits don't change the order
+      if (addressId) {
+        const address = req.user.addresses.id(addressId);
+
+        if (!address) {
+          return next(new ErrorHandler("Shipping address not found", 404));
+        }
+
+        shippingAddress = {
+          addressId: address._id,
+          country: address.country,
+          city: address.city,
+          address1: address.address1,
+          address2: address.address2,
+          zipCode: address.zipCode,
+          addressType: address.addressType,
+        };
+      }
+
+      if (!shippingAddress) {
+        return next(new ErrorHandler("Shipping address is required", 400));
+      }
+
+      const userCart = await Cart.findOne({ user: req.user._id });
+
+      if (!userCart || !userCart.items.length) {
+        return next(new ErrorHandler("Your cart is empty", 400));
+      }
+
+      const { items: lines, subtotal, changed } = await revalidateCart(userCart);
+
+      if (changed) {
+        // the changes are shown now, placing the order again goes through
+        await userCart.save();
+
+        return res.status(400).json({
+          success: false,
+          message: "Your cart changed, please review it before placing your order",
+          cart: { _id: userCart._id, items: lines, subtotal, changed },
+        });
+      }
+
+      const cart = await resolveCartVariants(orderItemsOf(lines));
 
       //   group cart items by shopId
       const shopItemsMap = new Map();
@@ -25,26 +92,91 @@ router.post(
         shopItemsMap.get(shopId).push(item);
       }
 
-      // create an order for each shop
-      const orders = [];
+      const totalOf = (items) =>
+        items.reduce((sum, item) => sum + item.discountPrice * item.qty, 0);
+
+      let coupon = null;
 
-      for (const [shopId, items] of shopItemsMap) {
-        const order = await Order.create({
-          cart: items,
-          shippingAddress,
-          user,
-          totalPrice,
-          paymentInfo,
+      if (couponCode) {
+        coupon = await CoupounCode.findOne({ name: couponCode });
+
+        if (
+          !coupon ||
+          !shopItemsMap.has(coupon.shopId) ||
+          (coupon.minAmount && totalOf(shopItemsMap.get(coupon.shopId)) < coupon.minAmount)
+        ) {
+          return next(new ErrorHandler("Coupon code is not valid for your cart", 400));
+        }
+      }
+
+      // what the order of a shop costs once the coupon is taken off
+      const orderTotalOf = (shopId, items) => {
+        const shopTotal = totalOf(items);
+        return coupon && coupon.shopId === shopId
+          ? shopTotal - Math.round((shopTotal * coupon.value) / 100)
+          : shopTotal;
+      };
+
+      const checkoutTotal = [...shopItemsMap].reduce(
+        (sum, [shopId, items]) => sum + orderTotalOf(shopId, items),
+        0
+      );
+
+      const paymentInfo = await verifyPaymentInfo(req.body.paymentInfo, checkoutTotal);
+
+      const user = {
+        _id: req.user._id.toString(),
+        name: req.user.name,
+        email: req.user.email,
+        phoneNumber: req.user.phoneNumber,
+      };
+
+      const unavailable = await reserveCart(cart);
+
+      if (unavailable.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Some items in your cart are not available",
+          items: unavailable,
         });
-        orders.push(order);
       }
 
+      // create an order for each shop
+      const orders = [];
+      const placed = new Set();
+      const checkoutId = crypto.randomUUID();
+
+      try {
+        for (const [shopId, items] of shopItemsMap) {
+          const order = await Order.create({
+            cart: items,
+            shippingAddress,
+            user,
+            checkoutId,
+            totalPrice: orderTotalOf(shopId, items),
+            paymentInfo,
+            reservation: reservationFor(paymentInfo),
+          });
+          orders.push(order);
+          items.forEach((item) => placed.add(item));
+        }
+      } catch (error) {
+        // give back the stock of the orders that could not be placed
+        await releaseCart(cart.filter((item) => !placed.has(item)));
+        throw error;
+      }
+
+      await Cart.updateOne(
+        { _id: userCart._id },
+        { $pull: { items: { _id: { $in: userCart.items.map((item) => item._id) } } } }
+      );
+
       res.status(201).json({
         success: true,
         orders,
       });
     } catch (error) {
-      return next(new ErrorHandler(error.message, 500));
+      return next(new ErrorHandler(error.message, error.statusCode || 500));
     }
   })
 );
@@ -71,8 +203,16 @@ router.get(
 // get all orders of seller
 router.get(
   "/get-seller-all-orders/:shopId",
+  isSellerOrApiKey,
+  sellerCan("orders:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
+      if (req.params.shopId !== req.seller._id.toString()) {
+        return next(
+          new ErrorHandler("You can only view the orders of your shop", 403)
+        );
+      }
+
       const orders = await Order.find({
         "cart.shopId": req.params.shopId,
       }).sort({
@@ -92,21 +232,31 @@ router.get(
 // update order status for seller
 router.put(
   "/update-order-status/:id",
-  isSeller,
+  isSellerOrApiKey,
+  sellerCan("orders:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const order = await Order.findById(req.params.id);
+      const order = await Order.findOne({
+        _id: req.params.id,
+        "cart.shopId": req.seller._id.toString(),
+      });
 
       if (!order) {
-        return next(new ErrorHandler("Order not found with this id", 400));
+        return next(new ErrorHandler("Order not found with this id", 404));
       }
       if (req.body.status === "Transferred to delivery partner") {
-        order.cart.forEach(async (o) => {
-          await updateOrder(o._id, o.qty);
-        });
+        await commitOrderStock(order);
+      }
+
+      if (req.body.status === "Cancelled") {
+        await releaseOrderStock(order, ["held"]);
       }
 
       order.status = req.body.status;
+      order.statusHistory.push({
+        status: req.body.status,
+        changedBy: sellerActor(req),
+      });
 
       if (req.body.status === "Delivered") {
         order.deliveredAt = Date.now();
@@ -122,15 +272,6 @@ router.put(
         order,
       });
 
-      async function updateOrder(id, qty) {
-        const product = await Product.findById(id);
-
-        product.stock -= qty;
-        product.sold_out += qty;
-
-        await product.save({ validateBeforeSave: false });
-      }
-
       async function updateSellerInfo(amount) {
         const seller = await Shop.findById(req.seller.id);
         
@@ -144,6 +285,89 @@ router.put(
   })
 );
 
+// confirm a cash on delivery order so its stock stays held until it is handled --- seller
+router.put(
+  "/confirm-cash-on-delivery/:id",
+  isSellerOrApiKey,
+  sellerCan("orders:write"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const order = await Order.findOne({
+        _id: req.params.id,
+        "cart.shopId": req.seller._id.toString(),
+      });
+
+      if (!order) {
+        return next(new ErrorHandler("Order not found with this id", 404));
+      }
+
+      if (!isCashOnDelivery(order.paymentInfo)) {
+        return next(
+          new ErrorHandler("Only cash on delivery orders need to be confirmed", 400)
+        );
+      }
+
+      if (!(await confirmReservation(order))) {
+        return next(
+          new ErrorHandler("This order no longer holds its stock", 400)
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        order,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// cancel an order that is not paid or shipped yet and put its stock back ----- user
+router.put(
+  "/cancel-order/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const order = await Order.findOne({
+        _id: req.params.id,
+        "user._id": req.user._id.toString(),
+      });
+
+      if (!order) {
+        return next(new ErrorHandler("Order not found with this id", 404));
+      }
+
+      const isPaid =
+        String(order.paymentInfo.status || "").toLowerCase() === "succeeded";
+
+      if (order.status !== "Processing" || isPaid) {
+        return next(
+          new ErrorHandler("Only unpaid orders that are not shipped yet can be cancelled", 400)
+        );
+      }
+
+      await releaseOrderStock(order, ["held"]);
+
+      order.status = "Cancelled";
+      order.statusHistory.push({
+        status: "Cancelled",
+        changedBy: { kind: "user", id: req.user._id, name: req.user.name },
+      });
+
+      await order.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        success: true,
+        order,
+        message: "Order cancelled successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
 // give a refund ----- user
 router.put(
   "/order-refund/:id",
@@ -173,16 +397,28 @@ router.put(
 // accept the refund ---- seller
 router.put(
   "/order-refund-success/:id",
-  isSeller,
+  isSellerOrApiKey,
+  sellerCan("orders:refund"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const order = await Order.findById(req.params.id);
+      const order = await Order.findOne({
+        _id: req.params.id,
+        "cart.shopId": req.seller._id.toString(),
+      });
 
       if (!order) {
-        return next(new ErrorHandler("Order not found with this id", 400));
+        return next(new ErrorHandler("Order not found with this id", 404));
+      }
+
+      if (req.body.status === "Refund Success") {
+        await releaseOrderStock(order);
       }
 
       order.status = req.body.status;
+      order.statusHistory.push({
+        status: req.body.status,
+        changedBy: sellerActor(req),
+      });
 
       await order.save();
 
@@ -190,21 +426,6 @@ router.put(
         success: true,
         message: "Order Refund successfull!",
       });
-
-      if (req.body.status === "Refund Success") {
-        order.cart.forEach(async (o) => {
-          await updateOrder(o._id, o.qty);
-        });
-      }
-
-      async function updateOrder(id, qty) {
-        const product = await Product.findById(id);
-
-        product.stock += qty;
-        product.sold_out -= qty;
-
-        await product.save({ validateBeforeSave: false });
-      }
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -215,7 +436,7 @@ router.put(
 router.get(
   "/admin-all-orders",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("orders:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const orders = await Order.find().sort({
@@ -1,50 +1,113 @@
 const express = require("express");
-const { isSeller, isAuthenticated, isAdmin } = require("../middleware/auth");
+const {
+  isSellerOrApiKey,
+  isAuthenticated,
+  sellerCan,
+  hasPermission,
+} = require("../middleware/auth");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const router = express.Router();
 const Product = require("../model/product");
-const Order = require("../model/order");
 const Shop = require("../model/shop");
-const cloudinary = require("cloudinary");
 const ErrorHandler = require("../utils/ErrorHandler");
+const { sellerActor } = require("../utils/shopRoles");
+const recordAudit = require("../utils/audit");
+const Review = require("../model/review");
+const { createReview, updateRatings } = require("../utils/reviews");
+const { resolveCategory } = require("../utils/category");
+const { checkLowStock, getLowStockProducts } = require("../utils/lowStock");
+const { queueWishlistNotifications, getWishlistCounts } = require("../utils/wishlist");
+const User = require("../model/user");
+const StockAlert = require("../model/stockAlert");
+const Question = require("../model/question");
+const Answer = require("../model/answer");
+const {
+  uploadImages,
+  destroyImages,
+  mergeImages,
+} = require("../utils/productImages");
+const {
+  productsToCsv,
+  parseProductCsv,
+  resolveImportCategories,
+  buildImportProduct,
+  validationErrors,
+  applyImportImages,
+} = require("../utils/productCsv");
+const {
+  parseSearchQuery,
+  buildPagePipeline,
+  buildFacetPipeline,
+  formatSearchResult,
+} = require("../utils/productSearch");
+
+// what a seller can change on a product
+const PRODUCT_FIELDS = [
+  "sku",
+  "name",
+  "description",
+  "tags",
+  "originalPrice",
+  "discountPrice",
+  "stock",
+  "lowStockThreshold",
+  "options",
+];
+const VARIANT_FIELDS = ["sku", "options", "originalPrice", "price", "stock"];
+
+const pick = (data, fields) =>
+  fields.reduce((picked, field) => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+    return picked;
+  }, {});
 
 // create product
 router.post(
   "/create-product",
+  isSellerOrApiKey,
+  sellerCan("products:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const shopId = req.body.shopId;
-      const shop = await Shop.findById(shopId);
+      if (shopId && shopId !== req.seller._id.toString()) {
+        return next(
+          new ErrorHandler("You can only add products to your shop", 403)
+        );
+      }
+
+      const shop = await Shop.findById(req.seller._id);
       if (!shop) {
         return next(new ErrorHandler("Shop Id is invalid!", 400));
       } else {
-        let images = [];
+        const category = await resolveCategory(req.body.category);
 
-        if (typeof req.body.images === "string") {
-          images.push(req.body.images);
-        } else {
-          images = req.body.images;
-        }
-      
-        const imagesLinks = [];
-      
-        for (let i = 0; i < images.length; i++) {
-          const result = await cloudinary.v2.uploader.upload(images[i], {
-            folder: "products",
-          });
-      
-          imagesLinks.push({
-            public_id: result.public_id,
-            url: result.secure_url,
-          });
-        }
-      
-        const productData = req.body;
+        const imagesLinks = await uploadImages(req.body.images);
+
+        // only what a seller may set, ratings and sales are kept by the server
+        const productData = pick(req.body, PRODUCT_FIELDS);
         productData.images = imagesLinks;
+
+        if (Array.isArray(req.body.variants)) {
+          productData.variants = [];
+          for (const variant of req.body.variants) {
+            productData.variants.push({
+              ...pick(variant, VARIANT_FIELDS),
+              images: await uploadImages(variant.images),
+            });
+          }
+        }
+
+        productData.category = category._id;
+        productData.shopId = shop._id.toString();
         productData.shop = shop;
+        productData.createdBy = sellerActor(req);
 
         const product = await Product.create(productData);
 
+        await checkLowStock([product._id]);
+
         res.status(201).json({
           success: true,
           product,
@@ -56,6 +119,103 @@ router.post(
   })
 );
 
+// update a product of the shop, images are kept, added, removed and
+// reordered as sent
+router.put(
+  "/update-product/:id",
+  isSellerOrApiKey,
+  sellerCan("products:write"),
+  catchAsyncErrors(async (req, res, next) => {
+    const uploaded = [];
+
+    try {
+      const product = await Product.findOne({
+        _id: req.params.id,
+        shopId: req.seller._id.toString(),
+      });
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      const removed = [];
+
+      Object.assign(product, pick(req.body, PRODUCT_FIELDS));
+
+      if (req.body.category !== undefined) {
+        product.category = (await resolveCategory(req.body.category))._id;
+      }
+
+      if (req.body.images !== undefined) {
+        const merged = await mergeImages(product.images, req.body.images);
+        uploaded.push(...merged.uploaded);
+        removed.push(...merged.removed);
+        product.images = merged.images;
+      }
+
+      if (req.body.variants !== undefined) {
+        if (!Array.isArray(req.body.variants)) {
+          throw new ErrorHandler("Variants must be a list", 400);
+        }
+
+        const variants = [];
+        const keptIds = new Set();
+
+        for (const data of req.body.variants) {
+          const existing = data._id ? product.variants.id(data._id) : null;
+
+          if (data._id && !existing) {
+            throw new ErrorHandler("Variant not found on this product", 400);
+          }
+
+          let images = existing ? existing.images : [];
+
+          if (data.images !== undefined) {
+            const merged = await mergeImages(images, data.images);
+            uploaded.push(...merged.uploaded);
+            removed.push(...merged.removed);
+            images = merged.images;
+          }
+
+          if (existing) {
+            keptIds.add(existing._id.toString());
+          }
+
+          variants.push({
+            ...(existing ? existing.toObject() : {}),
+            ...pick(data, VARIANT_FIELDS),
+            images,
+          });
+        }
+
+        for (const variant of product.variants) {
+          if (!keptIds.has(variant._id.toString())) {
+            removed.push(...variant.images);
+          }
+        }
+
+        product.variants = variants;
+      }
+
+      await product.save();
+
+      // only drop images from storage once the product no longer uses them
+      await destroyImages(removed);
+
+      await checkLowStock([product._id]);
+      await queueWishlistNotifications([product._id]);
+
+      res.status(200).json({
+        success: true,
+        product,
+      });
+    } catch (error) {
+      await destroyImages(uploaded);
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
+
 // get all products of a shop
 router.get(
   "/get-all-products-shop/:id",
@@ -73,106 +233,369 @@ router.get(
   })
 );
 
-// delete product of a shop
-router.delete(
-  "/delete-shop-product/:id",
-  isSeller,
+// import products from a csv, matched to existing products by sku. With
+// ?dryRun=true nothing is saved and only the report is returned
+router.post(
+  "/import-products-csv",
+  isSellerOrApiKey,
+  sellerCan("products:write"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const product = await Product.findById(req.params.id);
+      const csv = typeof req.body === "string" ? req.body : req.body.csv;
+      const dryRun = req.query.dryRun === "true";
 
-      if (!product) {
-        return next(new ErrorHandler("Product is not found with this id", 404));
-      }    
+      const { groups, errors } = parseProductCsv(csv);
 
-      for (let i = 0; 1 < product.images.length; i++) {
-        const result = await cloudinary.v2.uploader.destroy(
-          product.images[i].public_id
+      await resolveImportCategories(groups, errors);
+
+      const entries = [];
+
+      for (const group of groups) {
+        const entry = await buildImportProduct(
+          req.seller,
+          group,
+          sellerActor(req)
         );
+
+        try {
+          await entry.product.validate();
+        } catch (error) {
+          errors.push(...validationErrors(group, error));
+        }
+
+        entries.push({ group, ...entry });
       }
-    
-      await product.remove();
 
-      res.status(201).json({
+      errors.sort((a, b) => a.row - b.row);
+
+      const report = {
+        dryRun,
+        created: entries.filter((entry) => entry.isNew).length,
+        updated: entries.filter((entry) => !entry.isNew).length,
+        errors,
+      };
+
+      if (dryRun) {
+        return res.status(200).json({ success: true, ...report });
+      }
+
+      // nothing is imported until the whole file is valid
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Please fix the errors in the file and try again",
+          ...report,
+        });
+      }
+
+      // every image is uploaded before anything is saved, so a broken image
+      // url leaves the catalog untouched
+      for (const [index, entry] of entries.entries()) {
+        try {
+          entry.images = await applyImportImages(entry.product, entry.group);
+        } catch (error) {
+          await destroyImages(
+            entries.slice(0, index).flatMap((done) => done.images.uploaded)
+          );
+
+          return res.status(400).json({
+            success: false,
+            message: "Could not upload the images, nothing was imported",
+            ...report,
+            errors: [{ row: entry.group.row, field: "images", error: error.message }],
+          });
+        }
+      }
+
+      const saved = [];
+      let failure = null;
+
+      for (const entry of entries) {
+        try {
+          await entry.product.save();
+        } catch (error) {
+          failure = { entry, error };
+          break;
+        }
+        saved.push(entry);
+      }
+
+      const unsaved = entries.slice(saved.length);
+
+      await destroyImages(unsaved.flatMap((entry) => entry.images.uploaded));
+      await destroyImages(
+        saved.flatMap((entry) => [...entry.removed, ...entry.images.removed])
+      );
+
+      await checkLowStock(saved.map((entry) => entry.product._id));
+      await queueWishlistNotifications(saved.map((entry) => entry.product._id));
+
+      // the products saved before the failure stay imported
+      if (failure) {
+        return res.status(500).json({
+          success: false,
+          message: `Only part of the file was imported, sku ${failure.entry.group.sku} and the ones after it were not`,
+          dryRun,
+          created: saved.filter((entry) => entry.isNew).length,
+          updated: saved.filter((entry) => !entry.isNew).length,
+          notImported: unsaved.map((entry) => entry.group.sku),
+          errors: [
+            {
+              row: failure.entry.group.row,
+              field: "sku",
+              error: failure.error.message,
+            },
+          ],
+        });
+      }
+
+      res.status(201).json({ success: true, ...report });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 500));
+    }
+  })
+);
+
+// export the shop's products as a csv that can be edited and imported again
+router.get(
+  "/export-products-csv",
+  isSellerOrApiKey,
+  sellerCan("products:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const products = await Product.find({
+        shopId: req.seller._id.toString(),
+      })
+        .populate("category", "slug")
+        .sort({ createdAt: -1 });
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="products-${req.seller._id}.csv"`
+      );
+      res.status(200).send(productsToCsv(products));
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// products at or below their low stock threshold, with recent sales to
+// estimate when they run out
+router.get(
+  "/get-low-stock-products",
+  isSellerOrApiKey,
+  sellerCan("products:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+      const products = await getLowStockProducts(req.seller, days);
+
+      res.status(200).json({
         success: true,
-        message: "Product Deleted successfully!",
+        days,
+        products,
       });
     } catch (error) {
-      return next(new ErrorHandler(error, 400));
+      return next(new ErrorHandler(error.message, 500));
     }
   })
 );
 
-// get all products
+// how many users wishlisted each of the shop's products
 router.get(
-  "/get-all-products",
+  "/get-wishlist-counts",
+  isSellerOrApiKey,
+  sellerCan("products:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const products = await Product.find().sort({ createdAt: -1 });
+      const products = await getWishlistCounts(req.seller._id.toString());
 
-      res.status(201).json({
+      res.status(200).json({
         success: true,
         products,
       });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// open low stock alerts for the seller dashboard
+router.get(
+  "/get-stock-alerts",
+  isSellerOrApiKey,
+  sellerCan("products:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const alerts = await StockAlert.find({
+        shop: req.seller._id,
+        status: "open",
+      }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        alerts,
+        unread: alerts.filter((alert) => !alert.readAt).length,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// mark the open low stock alerts as seen
+router.put(
+  "/read-stock-alerts",
+  isSellerOrApiKey,
+  sellerCan("products:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      await StockAlert.updateMany(
+        { shop: req.seller._id, status: "open", readAt: null },
+        { readAt: Date.now() }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Alerts marked as read!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// delete product of a shop
+router.delete(
+  "/delete-shop-product/:id",
+  isSellerOrApiKey,
+  sellerCan("products:write"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const product = await Product.findOne({
+        _id: req.params.id,
+        shopId: req.seller._id.toString(),
+      });
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      await destroyImages([
+        ...product.images,
+        ...product.variants.flatMap((variant) => variant.images),
+      ]);
+
+      await product.deleteOne();
+
+      await recordAudit(req, {
+        action: "product.delete",
+        targetType: "Product",
+        targetId: product._id,
+        before: product,
+      });
+      await StockAlert.deleteMany({ product: product._id });
+      await Question.deleteMany({ product: product._id });
+      await Answer.deleteMany({ product: product._id });
+      await User.updateMany(
+        { "wishlist.product": product._id },
+        { $pull: { wishlist: { product: product._id } } }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Product Deleted successfully!",
+      });
     } catch (error) {
       return next(new ErrorHandler(error, 400));
     }
   })
 );
 
-// review for a product
+// review a product, or change your review of it, the way clients did before
+// reviews had their own routes; new clients use /review/create-review
 router.put(
   "/create-new-review",
   isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { user, rating, comment, productId, orderId } = req.body;
+      const { rating, comment, productId, orderId } = req.body;
 
-      const product = await Product.findById(productId);
+      const existing =
+        orderId && productId
+          ? await Review.findOne({
+              order: orderId,
+              product: productId,
+              user: req.user._id,
+            })
+          : null;
 
-      const review = {
-        user,
-        rating,
-        comment,
-        productId,
-      };
+      if (existing) {
+        const previousRating = existing.rating;
 
-      const isReviewed = product.reviews.find(
-        (rev) => rev.user._id === req.user._id
-      );
+        existing.rating = rating;
+        existing.comment = comment;
+        await existing.save();
 
-      if (isReviewed) {
-        product.reviews.forEach((rev) => {
-          if (rev.user._id === req.user._id) {
-            (rev.rating = rating), (rev.comment = comment), (rev.user = user);
-          }
-        });
+        if (existing.rating !== previousRating) {
+          await updateRatings(existing.product, {
+            added: existing.rating,
+            removed: previousRating,
+          });
+        }
       } else {
-        product.reviews.push(review);
+        await createReview(req.user, { orderId, productId, rating, comment });
       }
 
-      let avg = 0;
-
-      product.reviews.forEach((rev) => {
-        avg += rev.rating;
+      res.status(200).json({
+        success: true,
+        message: "Reviwed succesfully!",
       });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
 
-      product.ratings = avg / product.reviews.length;
+// get all products
+router.get(
+  "/get-all-products",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const products = await Product.find().sort({ createdAt: -1 });
 
-      await product.save({ validateBeforeSave: false });
+      res.status(201).json({
+        success: true,
+        products,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+  })
+);
 
-      await Order.findByIdAndUpdate(
-        orderId,
-        { $set: { "cart.$[elem].isReviewed": true } },
-        { arrayFilters: [{ "elem._id": productId }], new: true }
-      );
+// search the catalog with filters, sorting, cursor pagination and facets
+router.get(
+  "/search-products",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const search = await parseSearchQuery(req.query);
+
+      const [page, [result]] = await Promise.all([
+        Product.aggregate(buildPagePipeline(search)),
+        Product.aggregate(buildFacetPipeline(search)).allowDiskUse(true),
+      ]);
 
       res.status(200).json({
         success: true,
-        message: "Reviwed succesfully!",
+        ...(await formatSearchResult(page, result, search)),
       });
     } catch (error) {
-      return next(new ErrorHandler(error, 400));
+      return next(new ErrorHandler(error.message, error.statusCode || 500));
     }
   })
 );
@@ -181,7 +604,7 @@ router.put(
 router.get(
   "/admin-all-products",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("products:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const products = await Product.find().sort({
@@ -0,0 +1,329 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Question = require("../model/question");
+const Answer = require("../model/answer");
+const Product = require("../model/product");
+const Shop = require("../model/shop");
+const Order = require("../model/order");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const sendMail = require("../utils/sendMail");
+const {
+  isAuthenticated,
+  isSeller,
+  sellerCan,
+} = require("../middleware/auth");
+const { sellerActor } = require("../utils/shopRoles");
+
+const MAX_PAGE_SIZE = 50;
+
+// questions a user may ask per hour, each one emails the shop
+const MAX_QUESTIONS_PER_HOUR = 10;
+
+const pagination = (query, defaultLimit) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, limit };
+};
+
+const authorOf = (user) => ({
+  name: user.name,
+  avatar: user.avatar ? user.avatar.url : undefined,
+});
+
+// add their answers to a page of questions, most upvoted first
+const withAnswers = async (questions) => {
+  const answers = await Answer.find({
+    question: { $in: questions.map((question) => question._id) },
+  }).sort({ kind: -1, upvoteCount: -1, createdAt: 1 });
+
+  return questions.map((question) => ({
+    ...question.toObject(),
+    answers: answers.filter((answer) => answer.question.equals(question._id)),
+  }));
+};
+
+// ask a question about a product
+router.post(
+  "/ask-question",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { productId, body } = req.body;
+
+      if (!productId || typeof body !== "string" || !body.trim()) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      const recentQuestions = await Question.countDocuments({
+        user: req.user._id,
+        createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+      });
+
+      if (recentQuestions >= MAX_QUESTIONS_PER_HOUR) {
+        return next(
+          new ErrorHandler("You asked too many questions, please try again later", 429)
+        );
+      }
+
+      const product = await Product.findById(productId).select("name shopId");
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      const question = await Question.create({
+        product: product._id,
+        shopId: product.shopId,
+        user: req.user._id,
+        author: authorOf(req.user),
+        body,
+      });
+
+      const shop = await Shop.findById(product.shopId);
+
+      if (shop) {
+        try {
+          await sendMail({
+            email: shop.email,
+            subject: `New question about ${product.name}`,
+            message: `Hello ${shop.name}, a buyer asked about ${product.name}:\n\n"${question.body}"\n\nAnswer it from your dashboard so every buyer can see the answer.`,
+          });
+        } catch (error) {
+          // the question is saved and waits in the shop's inbox
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        question,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+// get the questions of a product with their answers
+router.get(
+  "/get-product-questions/:productId",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.productId)) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      const { page, limit } = pagination(req.query, 10);
+
+      const filter = { product: req.params.productId };
+
+      if (req.query.answered === "true") {
+        filter.answerCount = { $gt: 0 };
+      }
+
+      const [questions, total] = await Promise.all([
+        Question.find(filter)
+          .sort({ answerCount: -1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Question.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        questions: await withAnswers(questions),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// answer a question about a product you received
+router.post(
+  "/answer-question/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { body } = req.body;
+
+      if (!body || !body.trim()) {
+        return next(new ErrorHandler("Please write your answer!", 400));
+      }
+
+      const question = await Question.findById(req.params.id);
+
+      if (!question) {
+        return next(new ErrorHandler("Question not found with this id", 404));
+      }
+
+      const hasReceived = await Order.exists({
+        "user._id": req.user._id.toString(),
+        status: "Delivered",
+        "cart._id": question.product.toString(),
+      });
+
+      if (!hasReceived) {
+        return next(
+          new ErrorHandler("Only buyers who received this product can answer", 403)
+        );
+      }
+
+      const answer = await Answer.create({
+        question: question._id,
+        product: question.product,
+        kind: "buyer",
+        user: req.user._id,
+        author: authorOf(req.user),
+        body,
+      });
+
+      await Question.updateOne(
+        { _id: question._id },
+        { $inc: { answerCount: 1 } }
+      );
+
+      res.status(201).json({
+        success: true,
+        answer,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+// upvote an answer, or take the upvote back when already given
+router.put(
+  "/upvote-answer/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const voter = req.user._id;
+
+      let result = await Answer.updateOne(
+        { _id: req.params.id, user: { $ne: voter }, upvoters: { $ne: voter } },
+        { $addToSet: { upvoters: voter }, $inc: { upvoteCount: 1 } }
+      );
+      let upvoted = true;
+
+      if (!result.modifiedCount) {
+        result = await Answer.updateOne(
+          { _id: req.params.id, upvoters: voter },
+          { $pull: { upvoters: voter }, $inc: { upvoteCount: -1 } }
+        );
+        upvoted = false;
+      }
+
+      if (!result.modifiedCount) {
+        return next(new ErrorHandler("You can not vote on this answer", 400));
+      }
+
+      const answer = await Answer.findById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        upvoted,
+        upvoteCount: answer.upvoteCount,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// questions on the shop's products it hasn't answered yet --- seller
+router.get(
+  "/get-unanswered-questions",
+  isSeller,
+  sellerCan("questions:answer"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { page, limit } = pagination(req.query, 20);
+
+      const filter = {
+        shopId: req.seller._id.toString(),
+        answeredByShop: false,
+      };
+
+      const [questions, total] = await Promise.all([
+        Question.find(filter)
+          .populate("product", "name images")
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Question.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        questions: await withAnswers(questions),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// answer a question for the shop --- seller
+router.post(
+  "/shop-answer-question/:id",
+  isSeller,
+  sellerCan("questions:answer"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { body } = req.body;
+
+      if (!body || !body.trim()) {
+        return next(new ErrorHandler("Please write your answer!", 400));
+      }
+
+      const question = await Question.findOne({
+        _id: req.params.id,
+        shopId: req.seller._id.toString(),
+      });
+
+      if (!question) {
+        return next(new ErrorHandler("Question not found with this id", 404));
+      }
+
+      const answer = await Answer.create({
+        question: question._id,
+        product: question.product,
+        kind: "shop",
+        answeredBy: sellerActor(req),
+        author: {
+          name: req.seller.name,
+          avatar: req.seller.avatar ? req.seller.avatar.url : undefined,
+        },
+        body,
+      });
+
+      await Question.updateOne(
+        { _id: question._id },
+        { $inc: { answerCount: 1 }, answeredByShop: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        answer,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+module.exports = router;
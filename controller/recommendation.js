@@ -0,0 +1,57 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Product = require("../model/product");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated } = require("../middleware/auth");
+const {
+  frequentlyBoughtTogether,
+  recommendedForUser,
+} = require("../utils/recommendations");
+
+const MAX_LIMIT = 20;
+
+const limitOf = (query) =>
+  Math.min(Math.max(parseInt(query.limit, 10) || 6, 1), MAX_LIMIT);
+
+// products often bought together with a product
+router.get(
+  "/get-frequently-bought-together/:productId",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const product = mongoose.isValidObjectId(req.params.productId)
+        ? await Product.findById(req.params.productId).select("category")
+        : null;
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      res.status(200).json({
+        success: true,
+        products: await frequentlyBoughtTogether(product, limitOf(req.query)),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// products recommended to the user from what they bought before
+router.get(
+  "/get-recommended-products",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        products: await recommendedForUser(req.user, limitOf(req.query)),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
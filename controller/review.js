@@ -0,0 +1,355 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Review = require("../model/review");
+const Product = require("../model/product");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const {
+  isAuthenticated,
+  isSeller,
+  sellerCan,
+  hasPermission,
+} = require("../middleware/auth");
+const recordAudit = require("../utils/audit");
+const { sellerActor } = require("../utils/shopRoles");
+const { destroyImages, mergeImages } = require("../utils/productImages");
+const {
+  MAX_REVIEW_IMAGES,
+  REVIEW_SORTS,
+  updateRatings,
+  createReview,
+  migrateLegacyReviews,
+} = require("../utils/reviews");
+
+const MAX_PAGE_SIZE = 50;
+
+const tooManyImages = (images) =>
+  Array.isArray(images) && images.length > MAX_REVIEW_IMAGES;
+
+// review a product from a delivered order
+router.post(
+  "/create-review",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const review = await createReview(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        review,
+        message: "Reviwed succesfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
+
+// edit your review, photos are kept, added, removed and reordered as sent
+router.put(
+  "/update-review/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    let uploaded = [];
+
+    try {
+      const { rating, comment } = req.body;
+
+      const review = await Review.findOne({
+        _id: req.params.id,
+        user: req.user._id,
+      });
+
+      if (!review) {
+        return next(new ErrorHandler("Review not found with this id", 404));
+      }
+
+      if (tooManyImages(req.body.images)) {
+        return next(
+          new ErrorHandler(`You can add up to ${MAX_REVIEW_IMAGES} photos`, 400)
+        );
+      }
+
+      const previousRating = review.rating;
+      let removed = [];
+
+      if (rating !== undefined) {
+        review.rating = rating;
+      }
+      if (comment !== undefined) {
+        review.comment = comment;
+      }
+
+      if (req.body.images !== undefined) {
+        const merged = await mergeImages(review.images, req.body.images, "reviews");
+        uploaded = merged.uploaded;
+        removed = merged.removed;
+        review.images = merged.images;
+      }
+
+      await review.save();
+
+      if (review.rating !== previousRating) {
+        await updateRatings(review.product, {
+          added: review.rating,
+          removed: previousRating,
+        });
+      }
+
+      await destroyImages(removed);
+
+      res.status(200).json({
+        success: true,
+        review,
+      });
+    } catch (error) {
+      await destroyImages(uploaded);
+      return next(new ErrorHandler(error.message, error.statusCode || 400));
+    }
+  })
+);
+
+// delete your review
+router.delete(
+  "/delete-review/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const review = await Review.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id,
+      });
+
+      if (!review) {
+        return next(new ErrorHandler("Review not found with this id", 404));
+      }
+
+      await updateRatings(review.product, { removed: review.rating });
+
+      await destroyImages(review.images);
+
+      res.status(200).json({
+        success: true,
+        message: "Review deleted successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// get the reviews of a product with its rating summary
+router.get(
+  "/get-product-reviews/:productId",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { sort = "newest", rating, withPhotos } = req.query;
+
+      if (!REVIEW_SORTS[sort]) {
+        return next(
+          new ErrorHandler(
+            `sort must be one of ${Object.keys(REVIEW_SORTS).join(", ")}`,
+            400
+          )
+        );
+      }
+
+      if (!mongoose.isValidObjectId(req.params.productId)) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 10, 1),
+        MAX_PAGE_SIZE
+      );
+
+      const filter = { product: req.params.productId };
+
+      if (rating) filter.rating = Number(rating);
+      if (withPhotos === "true") filter["images.0"] = { $exists: true };
+
+      const [reviews, total, product] = await Promise.all([
+        Review.find(filter)
+          .sort(REVIEW_SORTS[sort])
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Review.countDocuments(filter),
+        Product.findById(req.params.productId).select(
+          "ratings numOfReviews ratingCounts"
+        ),
+      ]);
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      res.status(200).json({
+        success: true,
+        summary: {
+          average: product.ratings || 0,
+          count: product.numOfReviews,
+          ratingCounts: product.ratingCounts,
+        },
+        reviews,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// mark a review as helpful, or take the vote back when already given
+router.put(
+  "/helpful-review/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const voter = req.user._id;
+
+      let result = await Review.updateOne(
+        { _id: req.params.id, user: { $ne: voter }, helpfulVoters: { $ne: voter } },
+        { $addToSet: { helpfulVoters: voter }, $inc: { helpfulCount: 1 } }
+      );
+      let helpful = true;
+
+      if (!result.modifiedCount) {
+        result = await Review.updateOne(
+          { _id: req.params.id, helpfulVoters: voter },
+          { $pull: { helpfulVoters: voter }, $inc: { helpfulCount: -1 } }
+        );
+        helpful = false;
+      }
+
+      if (!result.modifiedCount) {
+        return next(
+          new ErrorHandler("You can not vote on this review", 400)
+        );
+      }
+
+      const review = await Review.findById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        helpful,
+        helpfulCount: review.helpfulCount,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// get reviews of the shop's products --- seller
+router.get(
+  "/get-shop-reviews",
+  isSeller,
+  sellerCan("reviews:reply"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 10, 1),
+        MAX_PAGE_SIZE
+      );
+
+      const filter = { shopId: req.seller._id.toString() };
+
+      if (req.query.unanswered === "true") {
+        filter["reply.comment"] = { $exists: false };
+      }
+
+      const [reviews, total] = await Promise.all([
+        Review.find(filter)
+          .populate("product", "name images")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Review.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        reviews,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// reply to a review of one of the shop's products --- seller
+router.put(
+  "/reply-review/:id",
+  isSeller,
+  sellerCan("reviews:reply"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { comment } = req.body;
+
+      if (!comment || !comment.trim()) {
+        return next(new ErrorHandler("Please write a reply!", 400));
+      }
+
+      const review = await Review.findOneAndUpdate(
+        { _id: req.params.id, shopId: req.seller._id.toString() },
+        {
+          reply: {
+            comment: comment.trim(),
+            repliedBy: sellerActor(req),
+            repliedAt: Date.now(),
+          },
+        },
+        { new: true }
+      );
+
+      if (!review) {
+        return next(new ErrorHandler("Review not found with this id", 404));
+      }
+
+      res.status(200).json({
+        success: true,
+        review,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// move the reviews stored on products before the Review collection into it
+// and count them in the product ratings --- admin
+router.post(
+  "/migrate-legacy-reviews",
+  isAuthenticated,
+  hasPermission("reviews:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const migrated = await migrateLegacyReviews();
+
+      await recordAudit(req, {
+        action: "review.migrate",
+        targetType: "Review",
+        after: { migrated },
+      });
+
+      res.status(200).json({
+        success: true,
+        migrated,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
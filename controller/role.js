@@ -0,0 +1,263 @@
+const express = require("express");
+const router = express.Router();
+const Role = require("../model/role");
+const User = require("../model/user");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const recordAudit = require("../utils/audit");
+const { isAuthenticated, hasPermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  SUPER_ROLE,
+  RESERVED_ROLES,
+} = require("../utils/permissions");
+
+// get all available permissions --- admin
+router.get(
+  "/get-all-permissions",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    res.status(200).json({
+      success: true,
+      permissions: PERMISSIONS,
+    });
+  })
+);
+
+// get permissions of the logged in user
+router.get(
+  "/my-permissions",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const permissions = await Role.getPermissions(req.user.role);
+
+      res.status(200).json({
+        success: true,
+        role: req.user.role,
+        permissions,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// create role --- admin
+router.post(
+  "/create-role",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (!name) {
+        return next(new ErrorHandler("Role name is required", 400));
+      }
+
+      if (RESERVED_ROLES.includes(name)) {
+        return next(new ErrorHandler(`${name} is a reserved role name`, 400));
+      }
+
+      const isRoleExists = await Role.findOne({ name });
+
+      if (isRoleExists) {
+        return next(new ErrorHandler("Role already exists!", 400));
+      }
+
+      const role = await Role.create({ name, description, permissions });
+
+      await recordAudit(req, {
+        action: "role.create",
+        targetType: "Role",
+        targetId: role._id,
+        after: role,
+      });
+
+      res.status(201).json({
+        success: true,
+        role,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+// get all roles --- admin
+router.get(
+  "/get-all-roles",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const roles = await Role.find().sort({ name: 1 });
+
+      res.status(200).json({
+        success: true,
+        roles,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// update role --- admin
+router.put(
+  "/update-role/:id",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { description, permissions } = req.body;
+
+      const role = await Role.findById(req.params.id);
+
+      if (!role) {
+        return next(new ErrorHandler("Role not found with this id", 404));
+      }
+
+      const before = role.toObject();
+
+      if (description !== undefined) {
+        role.description = description;
+      }
+      if (permissions !== undefined) {
+        role.permissions = permissions;
+      }
+
+      await role.save();
+
+      await recordAudit(req, {
+        action: "role.update",
+        targetType: "Role",
+        targetId: role._id,
+        before,
+        after: role,
+      });
+
+      res.status(200).json({
+        success: true,
+        role,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 400));
+    }
+  })
+);
+
+// delete role --- admin
+router.delete(
+  "/delete-role/:id",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const role = await Role.findById(req.params.id);
+
+      if (!role) {
+        return next(new ErrorHandler("Role not found with this id", 404));
+      }
+
+      const usersWithRole = await User.countDocuments({ role: role.name });
+
+      if (usersWithRole > 0) {
+        return next(
+          new ErrorHandler(
+            `Role is still assigned to ${usersWithRole} user(s)`,
+            400
+          )
+        );
+      }
+
+      await Role.findByIdAndDelete(req.params.id);
+
+      await recordAudit(req, {
+        action: "role.delete",
+        targetType: "Role",
+        targetId: role._id,
+        before: role,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Role deleted successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// assign a role to a user --- admin
+router.put(
+  "/assign-role/:userId",
+  isAuthenticated,
+  hasPermission("roles:manage"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { role } = req.body;
+
+      if (!role) {
+        return next(new ErrorHandler("Role is required", 400));
+      }
+
+      if (role === SUPER_ROLE && req.user.role !== SUPER_ROLE) {
+        return next(
+          new ErrorHandler(`Only ${SUPER_ROLE} can assign the ${SUPER_ROLE} role`, 403)
+        );
+      }
+
+      if (!RESERVED_ROLES.includes(role)) {
+        const isRoleExists = await Role.findOne({ name: role });
+
+        if (!isRoleExists) {
+          return next(new ErrorHandler("Role not found", 404));
+        }
+      }
+
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return next(new ErrorHandler("User not found", 404));
+      }
+
+      if (user.role === SUPER_ROLE && req.user.role !== SUPER_ROLE) {
+        return next(
+          new ErrorHandler(`Only ${SUPER_ROLE} can change the role of ${SUPER_ROLE}`, 403)
+        );
+      }
+
+      // an admin can't lock everyone out by demoting themselves
+      if (user._id.equals(req.user._id) && user.role === SUPER_ROLE) {
+        return next(new ErrorHandler("You can not change your own role", 400));
+      }
+
+      const roleBefore = user.role;
+
+      user.role = role;
+
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.role.assign",
+        targetType: "User",
+        targetId: user._id,
+        before: { role: roleBefore },
+        after: { role },
+      });
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -4,52 +4,104 @@ const router = express.Router();
 const jwt = require("jsonwebtoken");
 const sendMail = require("../utils/sendMail");
 const Shop = require("../model/shop");
-const { isAuthenticated, isSeller, isAdmin } = require("../middleware/auth");
+const {
+  isAuthenticated,
+  isSeller,
+  isShopOwner,
+  sellerCan,
+  hasPermission,
+} = require("../middleware/auth");
 const cloudinary = require("cloudinary");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const ErrorHandler = require("../utils/ErrorHandler");
 const sendShopToken = require("../utils/shopToken");
+const sendEmailChangeMails = require("../utils/emailChange");
+const PendingRegistration = require("../model/pendingRegistration");
+const recordAudit = require("../utils/audit");
+const {
+  createPendingRegistration,
+  renewActivationCode,
+  verifyActivationToken,
+  uploadPendingAvatar,
+  destroyAvatar,
+  sendActivationMail,
+} = require("../utils/pendingRegistration");
+const throttle = require("../middleware/throttle");
+const {
+  recordFailure,
+  clearFailures,
+  checkPassword,
+  sendLockoutMail,
+} = require("../utils/loginAttempts");
+const Session = require("../model/session");
+const {
+  hashToken,
+  rotateSession,
+  revokeSessions,
+  getActiveSessions,
+  serializeSession,
+  accessCookieOptions,
+  refreshCookieOptions,
+  clearCookieOptions,
+} = require("../utils/session");
+const {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  finishEnrollment,
+  disableTwoFactor,
+  checkTwoFactorCode,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require("../utils/twoFactor");
 
 // create shop
 router.post("/create-shop", catchAsyncErrors(async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { email, name, password, avatar, address, phoneNumber, zipCode } =
+      req.body;
+
+    if (
+      !email ||
+      !name ||
+      !password ||
+      !avatar ||
+      !address ||
+      !phoneNumber ||
+      !zipCode
+    ) {
+      return next(new ErrorHandler("Please provide the all fields!", 400));
+    }
+
+    if (password.length < 6) {
+      return next(
+        new ErrorHandler("Password should be greater than 6 characters", 400)
+      );
+    }
+
     const sellerEmail = await Shop.findOne({ email });
     if (sellerEmail) {
       return next(new ErrorHandler("User already exists", 400));
     }
 
-    const myCloud = await cloudinary.v2.uploader.upload(req.body.avatar, {
-      folder: "avatars",
+    // only the hashed password and a short code are kept until activation,
+    // the avatar is uploaded once the email is confirmed
+    const { pending, activationToken } = await createPendingRegistration({
+      accountType: "Shop",
+      name,
+      email,
+      password,
+      avatar,
+      details: { address, phoneNumber, zipCode },
     });
 
-
-    const seller = {
-      name: req.body.name,
-      email: email,
-      password: req.body.password,
-      avatar: {
-        public_id: myCloud.public_id,
-        url: myCloud.secure_url,
-      },
-      address: req.body.address,
-      phoneNumber: req.body.phoneNumber,
-      zipCode: req.body.zipCode,
-    };
-
-    const activationToken = createActivationToken(seller);
-
-    const activationUrl = `http://https://guriraline.com/seller/activation/${activationToken}`;
+    const activationUrl = `https://guriraline.com/seller/activation/${activationToken}`;
 
     try {
-      await sendMail({
-        email: seller.email,
-        subject: "Activate your Shop",
-        message: `Hello ${seller.name}, please click on the link to activate your shop: ${activationUrl}`,
-      });
+      await sendActivationMail(pending, activationUrl);
       res.status(201).json({
         success: true,
-        message: `please check your email:- ${seller.email} to activate your shop!`,
+        message: `please check your email:- ${pending.email} to activate your shop!`,
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -59,30 +111,21 @@ router.post("/create-shop", catchAsyncErrors(async (req, res, next) => {
   }
 }));
 
-// create activation token
-const createActivationToken = (seller) => {
-  return jwt.sign(seller, process.env.ACTIVATION_SECRET, {
-    expiresIn: "5m",
-  });
-};
-
 // activate user
 router.post(
   "/activation",
+  throttle("shop-activation", () => null),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { activation_token } = req.body;
 
-      const newSeller = jwt.verify(
-        activation_token,
-        process.env.ACTIVATION_SECRET
-      );
+      const pending = await verifyActivationToken(activation_token, "Shop");
 
-      if (!newSeller) {
+      if (!pending) {
+        await recordFailure(req.attemptKeys);
         return next(new ErrorHandler("Invalid token", 400));
       }
-      const { name, email, password, avatar, zipCode, address, phoneNumber } =
-        newSeller;
+      const { name, email, passwordHash, details } = pending;
 
       let seller = await Shop.findOne({ email });
 
@@ -90,17 +133,79 @@ router.post(
         return next(new ErrorHandler("User already exists", 400));
       }
 
-      seller = await Shop.create({
+      let avatar;
+      try {
+        avatar = await uploadPendingAvatar(pending);
+      } catch (error) {
+        // the image can't be used, so let the sign up start over
+        await PendingRegistration.deleteOne({ _id: pending._id });
+        return next(
+          new ErrorHandler("Could not upload your avatar, please sign up again", 400)
+        );
+      }
+
+      seller = new Shop({
         name,
         email,
         avatar,
-        password,
-        zipCode,
-        address,
-        phoneNumber,
+        password: passwordHash,
+        zipCode: details.zipCode,
+        address: details.address,
+        phoneNumber: details.phoneNumber,
       });
+      seller.$locals.passwordHashed = true;
 
-      sendShopToken(seller, 201, res);
+      try {
+        await seller.save();
+      } catch (error) {
+        if (pending.avatarData) await destroyAvatar(avatar);
+        throw error;
+      }
+
+      await PendingRegistration.deleteOne({ _id: pending._id });
+
+      await sendShopToken(seller, 201, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// resend shop activation email
+router.post(
+  "/resend-activation",
+  throttle("shop-resend-activation"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return next(new ErrorHandler("Email is required", 400));
+      }
+
+      await recordFailure(req.attemptKeys);
+
+      const pending = await PendingRegistration.findOne({
+        accountType: "Shop",
+        email,
+      });
+
+      if (pending) {
+        const activationToken = await renewActivationCode(pending);
+
+        if (activationToken) {
+          await sendActivationMail(
+            pending,
+            `https://guriraline.com/seller/activation/${activationToken}`
+          );
+        }
+      }
+
+      // same answer either way so this can't be used to find sign ups
+      res.status(200).json({
+        success: true,
+        message: "If a shop is waiting for activation, a new activation email has been sent!",
+      });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -110,6 +215,7 @@ router.post(
 // login shop
 router.post(
   "/login-shop",
+  throttle("shop-login"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { email, password } = req.body;
@@ -120,19 +226,69 @@ router.post(
 
       const user = await Shop.findOne({ email }).select("+password");
 
-      if (!user) {
-        return next(new ErrorHandler("User doesn't exists!", 400));
-      }
-
-      const isPasswordValid = await user.comparePassword(password);
+      const isPasswordValid = await checkPassword(user, password);
 
       if (!isPasswordValid) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && user) {
+          await sendLockoutMail(user);
+        }
         return next(
           new ErrorHandler("Please provide the correct information", 400)
         );
       }
 
-      sendShopToken(user, 201, res);
+      await clearFailures(req.attemptKeys);
+
+      if (user.twoFactor.enabled) {
+        return res.status(200).json({
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: createTwoFactorChallenge(user, "Shop"),
+        });
+      }
+
+      await sendShopToken(user, 201, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// second login step for shops with two-factor authentication
+router.post(
+  "/login-2fa",
+  throttle("shop-2fa", (req) => jwt.decode(req.body.twoFactorToken || "")?.id),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { twoFactorToken, code } = req.body;
+
+      if (!twoFactorToken || !code) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      const shopId = verifyTwoFactorChallenge(twoFactorToken, "Shop");
+
+      if (!shopId) {
+        return next(
+          new ErrorHandler("Your login has expired, please login again", 401)
+        );
+      }
+
+      const seller = await Shop.findById(shopId).select(TWO_FACTOR_FIELDS);
+
+      if (!seller || !checkTwoFactorCode(seller, code)) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && seller) {
+          await sendLockoutMail(seller);
+        }
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      await seller.save();
+      await clearFailures(req.attemptKeys);
+
+      await sendShopToken(await Shop.findById(shopId), 201, res);
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -161,17 +317,71 @@ router.get(
   })
 );
 
+// refresh shop access token
+router.post(
+  "/refresh-token",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { seller_refresh_token } = req.cookies;
+
+      if (!seller_refresh_token) {
+        return next(new ErrorHandler("Please login to continue", 401));
+      }
+
+      const rotated = await rotateSession(seller_refresh_token, "Shop", req);
+
+      if (!rotated) {
+        return next(
+          new ErrorHandler("Your session has expired, please login again", 401)
+        );
+      }
+
+      const seller = await Shop.findById(rotated.session.owner);
+
+      if (!seller) {
+        return next(new ErrorHandler("User doesn't exists", 401));
+      }
+
+      const token = seller.getJwtToken(rotated.session._id);
+
+      res
+        .status(200)
+        .cookie("seller_token", token, accessCookieOptions())
+        .cookie(
+          "seller_refresh_token",
+          rotated.refreshToken,
+          refreshCookieOptions("/api/v2/shop")
+        )
+        .json({
+          success: true,
+          token,
+        });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
 // log out from shop
 router.get(
   "/logout",
   catchAsyncErrors(async (req, res, next) => {
     try {
-      res.cookie("seller_token", null, {
-        expires: new Date(Date.now()),
-        httpOnly: true,
-        sameSite: "none",
-        secure: true,
-      });
+      const { seller_refresh_token } = req.cookies;
+
+      if (seller_refresh_token) {
+        await revokeSessions({
+          refreshTokenHash: hashToken(seller_refresh_token),
+          ownerModel: "Shop",
+        });
+      }
+
+      res.cookie("seller_token", null, clearCookieOptions());
+      res.cookie(
+        "seller_refresh_token",
+        null,
+        clearCookieOptions("/api/v2/shop")
+      );
       res.status(201).json({
         success: true,
         message: "Log out successful!",
@@ -182,6 +392,90 @@ router.get(
   })
 );
 
+// get active sessions of shop
+router.get(
+  "/get-sessions",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      // staff only see their own sessions, the owner sees everyone's
+      const sessions = await getActiveSessions(
+        req.seller,
+        "Shop",
+        req.member ? { member: req.member._id } : {}
+      );
+
+      res.status(200).json({
+        success: true,
+        sessions: sessions.map((session) =>
+          serializeSession(session, req.authSession._id)
+        ),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// revoke one session of shop
+router.delete(
+  "/revoke-session/:id",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.id,
+        owner: req.seller._id,
+        ownerModel: "Shop",
+        revokedAt: null,
+        ...(req.member ? { member: req.member._id } : {}),
+      });
+
+      if (!session) {
+        return next(new ErrorHandler("Session not found", 404));
+      }
+
+      session.revokedAt = Date.now();
+      await session.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Session revoked successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// revoke all sessions of shop, including this one; staff only revoke their own
+router.delete(
+  "/revoke-all-sessions",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      await revokeSessions({
+        owner: req.seller._id,
+        ownerModel: "Shop",
+        ...(req.member ? { member: req.member._id } : {}),
+      });
+
+      res.cookie("seller_token", null, clearCookieOptions());
+      res.cookie(
+        "seller_refresh_token",
+        null,
+        clearCookieOptions("/api/v2/shop")
+      );
+      res.status(200).json({
+        success: true,
+        message: "All sessions revoked successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
 // get shop info
 router.get(
   "/get-shop-info/:id",
@@ -202,10 +496,12 @@ router.get(
 router.put(
   "/update-shop-avatar",
   isSeller,
+  sellerCan("settings:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       let existsSeller = await Shop.findById(req.seller._id);
 
+      const before = { avatar: existsSeller.avatar.toObject() };
       const imageId = existsSeller.avatar.public_id;
 
       await cloudinary.v2.uploader.destroy(imageId);
@@ -223,6 +519,14 @@ router.put(
 
       await existsSeller.save();
 
+      await recordAudit(req, {
+        action: "shop.avatar.update",
+        targetType: "Shop",
+        targetId: existsSeller._id,
+        before,
+        after: { avatar: existsSeller.avatar },
+      });
+
       res.status(200).json({
         success: true,
         seller: existsSeller,
@@ -233,31 +537,437 @@ router.put(
   })
 );
 
+// start two-factor enrollment --- seller
+router.post(
+  "/setup-2fa",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const seller = await Shop.findById(req.seller._id).select(
+        TWO_FACTOR_FIELDS
+      );
+
+      if (seller.twoFactor.enabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
+        );
+      }
+
+      const { secret, otpauthUrl, qrCode } = await startEnrollment(seller);
+
+      await seller.save();
+
+      res.status(200).json({
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// confirm two-factor enrollment with a code from the app --- seller
+router.post(
+  "/enable-2fa",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const seller = await Shop.findById(req.seller._id).select(
+        TWO_FACTOR_FIELDS
+      );
+
+      if (seller.twoFactor.enabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
+        );
+      }
+
+      const recoveryCodes = finishEnrollment(seller, req.body.code);
+
+      if (!recoveryCodes) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      await seller.save();
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+        message: "Two-factor authentication enabled!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// turn two-factor authentication off --- seller
+router.post(
+  "/disable-2fa",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { password, code } = req.body;
+
+      const seller = await Shop.findById(req.seller._id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
+
+      const isPasswordValid = await seller.comparePassword(password || "");
+
+      if (!isPasswordValid || !checkTwoFactorCode(seller, code)) {
+        return next(
+          new ErrorHandler("Invalid password or authentication code!", 400)
+        );
+      }
+
+      disableTwoFactor(seller);
+
+      await seller.save();
+
+      await recordAudit(req, {
+        action: "shop.twoFactor.disable",
+        targetType: "Shop",
+        targetId: seller._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// replace the recovery codes --- seller
+router.post(
+  "/regenerate-recovery-codes",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const seller = await Shop.findById(req.seller._id).select(
+        TWO_FACTOR_FIELDS
+      );
+
+      if (!checkTwoFactorCode(seller, req.body.code)) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      const recoveryCodes = regenerateRecoveryCodes(seller);
+
+      await seller.save();
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// change password --- shop owner
+router.put(
+  "/change-password",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { oldPassword, newPassword } = req.body;
+
+      if (!oldPassword || !newPassword) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      if (newPassword.length < 6) {
+        return next(
+          new ErrorHandler("Password should be greater than 6 characters", 400)
+        );
+      }
+
+      const seller = await Shop.findById(req.seller._id).select("+password");
+
+      const isPasswordValid = await seller.comparePassword(oldPassword);
+
+      if (!isPasswordValid) {
+        return next(new ErrorHandler("Old password is incorrect!", 400));
+      }
+
+      seller.password = newPassword;
+      await seller.save();
+
+      await recordAudit(req, {
+        action: "shop.password.change",
+        targetType: "Shop",
+        targetId: seller._id,
+      });
+
+      // everyone else logged in with the old password has to login again
+      await revokeSessions({
+        owner: seller._id,
+        ownerModel: "Shop",
+        _id: { $ne: req.authSession._id },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Password updated successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// send password reset email --- shop
+router.post(
+  "/forgot-password",
+  throttle("shop-forgot-password"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return next(new ErrorHandler("Email is required", 400));
+      }
+
+      // every request counts, this endpoint sends emails
+      await recordFailure(req.attemptKeys);
+
+      const seller = await Shop.findOne({ email });
+
+      // same answer either way so this can't be used to find shop emails
+      if (seller) {
+        const resetToken = seller.getResetPasswordToken();
+        await seller.save({ validateBeforeSave: false });
+
+        const resetUrl = `${process.env.FRONTEND_URL}/shop-reset-password/${resetToken}`;
+
+        try {
+          await sendMail({
+            email: seller.email,
+            subject: "Shop Password Reset Request",
+            message: `Hi ${seller.name},\n\nYou requested a password reset for your shop. Click the link below to reset your password:\n\n${resetUrl}\n\nThis link expires in 15 minutes. If you didn't request this, please ignore this email.`,
+          });
+        } catch (error) {
+          seller.resetPasswordToken = undefined;
+          seller.resetPasswordTime = undefined;
+          await seller.save({ validateBeforeSave: false });
+
+          return next(new ErrorHandler(error.message, 500));
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "If a shop exists with this email, a password reset email has been sent!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// reset password with the emailed token --- shop
+router.post(
+  "/reset-password",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      if (!token || !newPassword) {
+        return next(
+          new ErrorHandler("Token and new password are required", 400)
+        );
+      }
+
+      if (newPassword.length < 6) {
+        return next(
+          new ErrorHandler("Password should be greater than 6 characters", 400)
+        );
+      }
+
+      const seller = await Shop.findOne({
+        resetPasswordToken: hashToken(token),
+        resetPasswordTime: { $gt: Date.now() },
+      });
+
+      if (!seller) {
+        return next(new ErrorHandler("Invalid or expired token", 400));
+      }
+
+      seller.password = newPassword;
+      seller.resetPasswordToken = undefined;
+      seller.resetPasswordTime = undefined;
+      await seller.save();
+
+      await revokeSessions({ owner: seller._id, ownerModel: "Shop" });
+
+      res.status(200).json({
+        success: true,
+        message: "Password has been reset successfully",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
 // update seller info
 router.put(
   "/update-seller-info",
   isSeller,
+  sellerCan("settings:write"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { name, description, address, phoneNumber, zipCode } = req.body;
+      const {
+        name,
+        description,
+        address,
+        phoneNumber,
+        zipCode,
+        email,
+        password,
+        lowStockThreshold,
+      } = req.body;
 
-      const shop = await Shop.findOne(req.seller._id);
+      const shop = await Shop.findById(req.seller._id).select("+password");
 
       if (!shop) {
         return next(new ErrorHandler("User not found", 400));
       }
 
+      // a new email is only used after it is confirmed from its inbox, and
+      // only the owner can ask for it
+      let changeToken;
+      if (email && email !== shop.email) {
+        if (req.member) {
+          return next(
+            new ErrorHandler("Only the shop owner can change the shop email", 403)
+          );
+        }
+
+        const isPasswordValid = await shop.comparePassword(password || "");
+
+        if (!isPasswordValid) {
+          return next(new ErrorHandler("Invalid password!", 400));
+        }
+
+        const isEmailTaken = await Shop.findOne({ email });
+
+        if (isEmailTaken) {
+          return next(new ErrorHandler("Email is already in use", 400));
+        }
+
+        changeToken = shop.getEmailChangeToken(email);
+      }
+
+      const before = {
+        name: shop.name,
+        description: shop.description,
+        address: shop.address,
+        phoneNumber: shop.phoneNumber,
+        zipCode: shop.zipCode,
+        lowStockThreshold: shop.lowStockThreshold,
+      };
+
       shop.name = name;
       shop.description = description;
       shop.address = address;
       shop.phoneNumber = phoneNumber;
       shop.zipCode = zipCode;
+      if (lowStockThreshold !== undefined) {
+        shop.lowStockThreshold = lowStockThreshold;
+      }
 
       await shop.save();
 
+      await recordAudit(req, {
+        action: "shop.update",
+        targetType: "Shop",
+        targetId: shop._id,
+        before,
+        after: {
+          name: shop.name,
+          description: shop.description,
+          address: shop.address,
+          phoneNumber: shop.phoneNumber,
+          zipCode: shop.zipCode,
+          lowStockThreshold: shop.lowStockThreshold,
+        },
+      });
+
+      if (changeToken) {
+        await sendEmailChangeMails(shop, changeToken, "shop-confirm-email-change");
+
+        await recordAudit(req, {
+          action: "shop.email.changeRequest",
+          targetType: "Shop",
+          targetId: shop._id,
+          before: { email: shop.email },
+          after: { pendingEmail: shop.pendingEmail },
+        });
+      }
+
       res.status(201).json({
         success: true,
-        shop,
+        shop: await Shop.findById(shop._id),
+        message: changeToken
+          ? `Please check ${email} to confirm your new email address!`
+          : undefined,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// confirm email change from the link sent to the new address --- shop
+router.post(
+  "/confirm-email-change",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return next(new ErrorHandler("Token is missing", 400));
+      }
+
+      const shop = await Shop.findOne({
+        emailChangeToken: hashToken(token),
+        emailChangeExpires: { $gt: Date.now() },
+      }).select("+pendingEmail");
+
+      if (!shop) {
+        return next(new ErrorHandler("Invalid or expired token", 400));
+      }
+
+      const isEmailTaken = await Shop.findOne({ email: shop.pendingEmail });
+
+      if (isEmailTaken) {
+        return next(new ErrorHandler("Email is already in use", 400));
+      }
+
+      shop.email = shop.pendingEmail;
+      shop.pendingEmail = undefined;
+      shop.emailChangeToken = undefined;
+      shop.emailChangeExpires = undefined;
+
+      await shop.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Email updated successfully!",
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -269,7 +979,7 @@ router.put(
 router.get(
   "/admin-all-sellers",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("sellers:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const sellers = await Shop.find().sort({
@@ -289,7 +999,7 @@ router.get(
 router.delete(
   "/delete-seller/:id",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("sellers:delete"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const seller = await Shop.findById(req.params.id);
@@ -302,6 +1012,13 @@ router.delete(
 
       await Shop.findByIdAndDelete(req.params.id);
 
+      await recordAudit(req, {
+        action: "shop.delete",
+        targetType: "Shop",
+        targetId: seller._id,
+        before: seller,
+      });
+
       res.status(201).json({
         success: true,
         message: "Seller deleted successfully!",
@@ -316,6 +1033,7 @@ router.delete(
 router.put(
   "/update-payment-methods",
   isSeller,
+  isShopOwner,
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { withdrawMethod } = req.body;
@@ -324,6 +1042,14 @@ router.put(
         withdrawMethod,
       });
 
+      await recordAudit(req, {
+        action: "shop.withdrawMethod.update",
+        targetType: "Shop",
+        targetId: req.seller._id,
+        before: { withdrawMethod: seller.withdrawMethod },
+        after: { withdrawMethod },
+      });
+
       res.status(201).json({
         success: true,
         seller,
@@ -338,6 +1064,7 @@ router.put(
 router.delete(
   "/delete-withdraw-method/",
   isSeller,
+  isShopOwner,
   catchAsyncErrors(async (req, res, next) => {
     try {
       const seller = await Shop.findById(req.seller._id);
@@ -346,10 +1073,20 @@ router.delete(
         return next(new ErrorHandler("Seller not found with this id", 400));
       }
 
+      const withdrawMethodBefore = seller.withdrawMethod;
+
       seller.withdrawMethod = null;
 
       await seller.save();
 
+      await recordAudit(req, {
+        action: "shop.withdrawMethod.delete",
+        targetType: "Shop",
+        targetId: seller._id,
+        before: { withdrawMethod: withdrawMethodBefore },
+        after: { withdrawMethod: null },
+      });
+
       res.status(201).json({
         success: true,
         seller,
@@ -0,0 +1,627 @@
+const express = require("express");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const router = express.Router();
+const ShopMember = require("../model/shopMember");
+const Shop = require("../model/shop");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const sendMail = require("../utils/sendMail");
+const sendShopToken = require("../utils/shopToken");
+const { isSeller, isShopOwner } = require("../middleware/auth");
+const { hashToken, revokeSessions } = require("../utils/session");
+const { SHOP_ROLE_NAMES } = require("../utils/shopRoles");
+const throttle = require("../middleware/throttle");
+const recordAudit = require("../utils/audit");
+const {
+  recordFailure,
+  clearFailures,
+  checkPassword,
+  sendLockoutMail,
+} = require("../utils/loginAttempts");
+const {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  finishEnrollment,
+  disableTwoFactor,
+  checkTwoFactorCode,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require("../utils/twoFactor");
+
+const INVITE_EXPIRES_DAYS = 7;
+
+// log a member in once their password is checked: members with two-factor
+// authentication get the second step, members of a shop that requires it
+// have to set it up first
+const sendMemberLogin = async (shop, member, res) => {
+  if (member.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: createTwoFactorChallenge(member, "ShopMember"),
+    });
+  }
+
+  if (shop.requireStaffTwoFactor) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      twoFactorToken: createTwoFactorChallenge(member, "ShopMember"),
+    });
+  }
+
+  await sendShopToken(shop, 201, res, member);
+};
+
+// the staff member setting up two-factor authentication, from their session
+// or from the token their password step returned
+const enrollingMember = catchAsyncErrors(async (req, res, next) => {
+  if (req.body.twoFactorToken) {
+    const memberId = verifyTwoFactorChallenge(req.body.twoFactorToken, "ShopMember");
+
+    if (!memberId) {
+      return next(
+        new ErrorHandler("Your login has expired, please login again", 401)
+      );
+    }
+
+    req.enrollingMemberId = memberId;
+    return next();
+  }
+
+  isSeller(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!req.member) {
+      return next(
+        new ErrorHandler("Only staff members can access this resources!", 403)
+      );
+    }
+
+    req.enrollingMemberId = req.member._id;
+    next();
+  });
+});
+
+const isMember = (req, res, next) => {
+  if (!req.member) {
+    return next(
+      new ErrorHandler("Only staff members can access this resources!", 403)
+    );
+  }
+  next();
+};
+
+// invite a staff member by email --- shop owner
+router.post(
+  "/invite-member",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email, name, role } = req.body;
+
+      if (!email || !role) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      if (!SHOP_ROLE_NAMES.includes(role)) {
+        return next(
+          new ErrorHandler(`Role must be one of ${SHOP_ROLE_NAMES.join(", ")}`, 400)
+        );
+      }
+
+      let member = await ShopMember.findOne({ email: email.toLowerCase() });
+
+      if (member && (member.status === "active" || !member.shop.equals(req.seller._id))) {
+        return next(
+          new ErrorHandler("This email is already a member of a shop", 400)
+        );
+      }
+
+      const inviteToken = crypto.randomBytes(32).toString("hex");
+
+      if (!member) {
+        member = new ShopMember({ shop: req.seller._id, email });
+      }
+      member.name = name;
+      member.role = role;
+      member.inviteToken = hashToken(inviteToken);
+      member.inviteExpires = new Date(
+        Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+      );
+
+      await member.save();
+
+      await recordAudit(req, {
+        action: "shop.member.invite",
+        targetType: "ShopMember",
+        targetId: member._id,
+        after: { email: member.email, role: member.role },
+      });
+
+      const inviteUrl = `${process.env.FRONTEND_URL}/seller/accept-invite/${inviteToken}`;
+
+      try {
+        await sendMail({
+          email: member.email,
+          subject: `Join ${req.seller.name} on Guriraline`,
+          message: `Hello${name ? ` ${name}` : ""}, ${req.seller.name} invited you to help manage their shop as ${role}. Click the link below to accept the invitation:\n\n${inviteUrl}\n\nThis link expires in ${INVITE_EXPIRES_DAYS} days.`,
+        });
+      } catch (error) {
+        return next(new ErrorHandler(error.message, 500));
+      }
+
+      res.status(201).json({
+        success: true,
+        member,
+        message: `Invitation sent to ${member.email}!`,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// accept an invitation and set a password
+router.post(
+  "/accept-invite",
+  throttle("member-invite", () => null),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { token, name, password } = req.body;
+
+      if (!token || !password) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      const member = await ShopMember.findOne({
+        inviteToken: hashToken(token),
+        status: "invited",
+        inviteExpires: { $gt: Date.now() },
+      });
+
+      if (!member) {
+        await recordFailure(req.attemptKeys);
+        return next(
+          new ErrorHandler("Invitation is invalid or has expired", 400)
+        );
+      }
+
+      if (name) {
+        member.name = name;
+      }
+      member.password = password;
+      member.status = "active";
+      member.inviteToken = undefined;
+      member.inviteExpires = undefined;
+
+      await member.save();
+
+      const shop = await Shop.findById(member.shop);
+
+      if (!shop) {
+        return next(new ErrorHandler("Shop not found", 404));
+      }
+
+      await sendMemberLogin(shop, member, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// login as a staff member
+router.post(
+  "/login-member",
+  throttle("member-login"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      const member = await ShopMember.findOne({
+        email: email.toLowerCase(),
+        status: "active",
+      }).select("+password");
+
+      const isPasswordValid = await checkPassword(member, password);
+
+      if (!isPasswordValid) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && member) {
+          await sendLockoutMail(member);
+        }
+        return next(
+          new ErrorHandler("Please provide the correct information", 400)
+        );
+      }
+
+      await clearFailures(req.attemptKeys);
+
+      const shop = await Shop.findById(member.shop);
+
+      if (!shop) {
+        return next(new ErrorHandler("Shop not found", 404));
+      }
+
+      await sendMemberLogin(shop, member, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// second login step for staff with two-factor authentication
+router.post(
+  "/login-2fa",
+  throttle("member-2fa", (req) => jwt.decode(req.body.twoFactorToken || "")?.id),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { twoFactorToken, code } = req.body;
+
+      if (!twoFactorToken || !code) {
+        return next(new ErrorHandler("Please provide the all fields!", 400));
+      }
+
+      const memberId = verifyTwoFactorChallenge(twoFactorToken, "ShopMember");
+
+      if (!memberId) {
+        return next(
+          new ErrorHandler("Your login has expired, please login again", 401)
+        );
+      }
+
+      const member = await ShopMember.findOne({
+        _id: memberId,
+        status: "active",
+      }).select(TWO_FACTOR_FIELDS);
+
+      if (!member || !checkTwoFactorCode(member, code)) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && member) {
+          await sendLockoutMail(member);
+        }
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      await member.save();
+      await clearFailures(req.attemptKeys);
+
+      const shop = await Shop.findById(member.shop);
+
+      if (!shop) {
+        return next(new ErrorHandler("Shop not found", 404));
+      }
+
+      await sendShopToken(shop, 201, res, await ShopMember.findById(memberId));
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// start two-factor enrollment --- staff member
+router.post(
+  "/setup-2fa",
+  enrollingMember,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const member = await ShopMember.findOne({
+        _id: req.enrollingMemberId,
+        status: "active",
+      }).select(TWO_FACTOR_FIELDS);
+
+      if (!member) {
+        return next(new ErrorHandler("Member not found", 404));
+      }
+
+      if (member.twoFactor.enabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
+        );
+      }
+
+      const { secret, otpauthUrl, qrCode } = await startEnrollment(member);
+
+      await member.save();
+
+      res.status(200).json({
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// confirm two-factor enrollment with a code from the app --- staff member
+router.post(
+  "/enable-2fa",
+  enrollingMember,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const member = await ShopMember.findOne({
+        _id: req.enrollingMemberId,
+        status: "active",
+      }).select(TWO_FACTOR_FIELDS);
+
+      if (!member) {
+        return next(new ErrorHandler("Member not found", 404));
+      }
+
+      if (member.twoFactor.enabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
+        );
+      }
+
+      const recoveryCodes = finishEnrollment(member, req.body.code);
+
+      if (!recoveryCodes) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      await member.save();
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+        message: req.member
+          ? "Two-factor authentication enabled!"
+          : "Two-factor authentication enabled! Please login again",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// turn two-factor authentication off --- staff member
+router.post(
+  "/disable-2fa",
+  isSeller,
+  isMember,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      if (req.seller.requireStaffTwoFactor) {
+        return next(
+          new ErrorHandler("Your shop requires two-factor authentication", 400)
+        );
+      }
+
+      const { password, code } = req.body;
+
+      const member = await ShopMember.findById(req.member._id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
+
+      const isPasswordValid = await member.comparePassword(password || "");
+
+      if (!isPasswordValid || !checkTwoFactorCode(member, code)) {
+        return next(
+          new ErrorHandler("Invalid password or authentication code!", 400)
+        );
+      }
+
+      disableTwoFactor(member);
+
+      await member.save();
+
+      await recordAudit(req, {
+        action: "shop.member.twoFactor.disable",
+        targetType: "ShopMember",
+        targetId: member._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// replace the recovery codes --- staff member
+router.post(
+  "/regenerate-recovery-codes",
+  isSeller,
+  isMember,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const member = await ShopMember.findById(req.member._id).select(
+        TWO_FACTOR_FIELDS
+      );
+
+      if (!checkTwoFactorCode(member, req.body.code)) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      const recoveryCodes = regenerateRecoveryCodes(member);
+
+      await member.save();
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// require two-factor authentication from the staff, ends the sessions of
+// members who don't have it yet --- shop owner
+router.put(
+  "/require-staff-2fa",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { required } = req.body;
+
+      if (typeof required !== "boolean") {
+        return next(new ErrorHandler("required must be true or false", 400));
+      }
+
+      const before = { requireStaffTwoFactor: req.seller.requireStaffTwoFactor };
+
+      await Shop.updateOne(
+        { _id: req.seller._id },
+        { requireStaffTwoFactor: required }
+      );
+
+      if (required) {
+        const members = await ShopMember.find({
+          shop: req.seller._id,
+          "twoFactor.enabled": { $ne: true },
+        }).select("_id");
+
+        await revokeSessions({
+          ownerModel: "Shop",
+          member: { $in: members.map((member) => member._id) },
+        });
+      }
+
+      await recordAudit(req, {
+        action: "shop.staffTwoFactor.update",
+        targetType: "Shop",
+        targetId: req.seller._id,
+        before,
+        after: { requireStaffTwoFactor: required },
+      });
+
+      res.status(200).json({
+        success: true,
+        requireStaffTwoFactor: required,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// get the logged in staff member
+router.get(
+  "/get-member",
+  isSeller,
+  catchAsyncErrors(async (req, res, next) => {
+    res.status(200).json({
+      success: true,
+      member: req.member,
+    });
+  })
+);
+
+// get all staff of a shop --- shop owner
+router.get(
+  "/get-all-members",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const members = await ShopMember.find({ shop: req.seller._id }).sort({
+        createdAt: -1,
+      });
+
+      res.status(200).json({
+        success: true,
+        members,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// change the role of a staff member --- shop owner
+router.put(
+  "/update-member-role/:id",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { role } = req.body;
+
+      if (!SHOP_ROLE_NAMES.includes(role)) {
+        return next(
+          new ErrorHandler(`Role must be one of ${SHOP_ROLE_NAMES.join(", ")}`, 400)
+        );
+      }
+
+      const member = await ShopMember.findOneAndUpdate(
+        { _id: req.params.id, shop: req.seller._id },
+        { role }
+      );
+
+      if (!member) {
+        return next(new ErrorHandler("Member not found with this id", 404));
+      }
+
+      await recordAudit(req, {
+        action: "shop.member.role",
+        targetType: "ShopMember",
+        targetId: member._id,
+        before: { role: member.role },
+        after: { role },
+      });
+
+      member.role = role;
+
+      res.status(200).json({
+        success: true,
+        member,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// remove a staff member and end their sessions --- shop owner
+router.delete(
+  "/remove-member/:id",
+  isSeller,
+  isShopOwner,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const member = await ShopMember.findOneAndDelete({
+        _id: req.params.id,
+        shop: req.seller._id,
+      });
+
+      if (!member) {
+        return next(new ErrorHandler("Member not found with this id", 404));
+      }
+
+      await revokeSessions({ ownerModel: "Shop", member: member._id });
+
+      await recordAudit(req, {
+        action: "shop.member.remove",
+        targetType: "ShopMember",
+        targetId: member._id,
+        before: member,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Member removed successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
@@ -7,10 +7,56 @@ const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const jwt = require("jsonwebtoken");
 const sendMail = require("../utils/sendMail");
 const sendToken = require("../utils/jwtToken");
-const { isAuthenticated, isAdmin } = require("../middleware/auth");
+const sendEmailChangeMails = require("../utils/emailChange");
+const { isAuthenticated, hasPermission } = require("../middleware/auth");
 const crypto = require('crypto');
-
-// Create activation token function
+const throttle = require("../middleware/throttle");
+const { validateAddress, ADDRESS_FIELDS } = require("../utils/validateAddress");
+const {
+  DELETION_GRACE_DAYS,
+  buildUserDataExport,
+} = require("../utils/accountData");
+const PendingRegistration = require("../model/pendingRegistration");
+const Product = require("../model/product");
+const { snapshotOf } = require("../utils/wishlist");
+const recordAudit = require("../utils/audit");
+const {
+  createPendingRegistration,
+  renewActivationCode,
+  verifyActivationToken,
+  uploadPendingAvatar,
+  destroyAvatar,
+  sendActivationMail,
+} = require("../utils/pendingRegistration");
+const {
+  recordFailure,
+  clearFailures,
+  checkPassword,
+  sendLockoutMail,
+} = require("../utils/loginAttempts");
+const Session = require("../model/session");
+const {
+  hashToken,
+  rotateSession,
+  revokeSessions,
+  getActiveSessions,
+  serializeSession,
+  accessCookieOptions,
+  refreshCookieOptions,
+  clearCookieOptions,
+} = require("../utils/session");
+const {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  finishEnrollment,
+  disableTwoFactor,
+  checkTwoFactorCode,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require("../utils/twoFactor");
+
+// Create reset token function
 const createToken = (user) => {
   return jwt.sign({ user }, process.env.ACTIVATION_SECRET, {
     expiresIn: '10m' // Set the expiration time as needed
@@ -26,44 +72,35 @@ router.post("/create-user", async (req, res, next) => {
       return next(new ErrorHandler("Missing required fields", 400));
     }
 
+    if (password.length < 4) {
+      return next(
+        new ErrorHandler("Password should be greater than 4 characters", 400)
+      );
+    }
+
     const userEmail = await User.findOne({ email });
 
     if (userEmail) {
       return next(new ErrorHandler("User already exists", 400));
     }
 
-    let myCloud;
-    try {
-      myCloud = await cloudinary.v2.uploader.upload(avatar, {
-        folder: "avatars",
-      });
-    } catch (error) {
-      return next(new ErrorHandler("Error uploading avatar", 500));
-    }
-
-    const user = {
-      name: name,
-      email: email,
-      password: password,
-      avatar: {
-        public_id: myCloud.public_id,
-        url: myCloud.secure_url,
-      },
-    };
-
-    const activationToken = createToken(user);
+    // only the hashed password and a short code are kept until activation,
+    // the avatar is uploaded once the email is confirmed
+    const { pending, activationToken } = await createPendingRegistration({
+      accountType: "User",
+      name,
+      email,
+      password,
+      avatar,
+    });
 
     const activationUrl = `https://guriraline.com/activation/${activationToken}`;
 
     try {
-      await sendMail({
-        email: user.email,
-        subject: "Activate your account",
-        message: `Hello ${user.name}, please click the link to activate your account:\n\n${activationUrl}`,
-      });
+      await sendActivationMail(pending, activationUrl);
       res.status(201).json({
         success: true,
-        message: `Please check your email (${user.email}) to activate your account!`,
+        message: `Please check your email (${pending.email}) to activate your account!`,
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -76,6 +113,7 @@ router.post("/create-user", async (req, res, next) => {
 // Activate user
 router.post(
   "/activation",
+  throttle("user-activation", () => null),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { activation_token } = req.body;
@@ -84,16 +122,14 @@ router.post(
         return next(new ErrorHandler("Activation token is missing", 400));
       }
 
-      const newUser = jwt.verify(
-        activation_token,
-        process.env.ACTIVATION_SECRET
-      );
+      const pending = await verifyActivationToken(activation_token, "User");
 
-      if (!newUser) {
+      if (!pending) {
+        await recordFailure(req.attemptKeys);
         return next(new ErrorHandler("Invalid or expired token", 400));
       }
 
-      const { name, email, password, avatar } = newUser.user;
+      const { name, email, passwordHash } = pending;
 
       let user = await User.findOne({ email });
 
@@ -101,14 +137,76 @@ router.post(
         return next(new ErrorHandler("User already exists", 400));
       }
 
-      user = await User.create({
+      let avatar;
+      try {
+        avatar = await uploadPendingAvatar(pending);
+      } catch (error) {
+        // the image can't be used, so let the sign up start over
+        await PendingRegistration.deleteOne({ _id: pending._id });
+        return next(
+          new ErrorHandler("Could not upload your avatar, please sign up again", 400)
+        );
+      }
+
+      user = new User({
         name,
         email,
         avatar,
-        password,
+        password: passwordHash,
+      });
+      user.$locals.passwordHashed = true;
+
+      try {
+        await user.save();
+      } catch (error) {
+        if (pending.avatarData) await destroyAvatar(avatar);
+        throw error;
+      }
+
+      await PendingRegistration.deleteOne({ _id: pending._id });
+
+      await sendToken(user, 201, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Resend activation email
+router.post(
+  "/resend-activation",
+  throttle("user-resend-activation"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return next(new ErrorHandler("Email is required", 400));
+      }
+
+      await recordFailure(req.attemptKeys);
+
+      const pending = await PendingRegistration.findOne({
+        accountType: "User",
+        email,
       });
 
-      sendToken(user, 201, res);
+      if (pending) {
+        const activationToken = await renewActivationCode(pending);
+
+        if (activationToken) {
+          await sendActivationMail(
+            pending,
+            `https://guriraline.com/activation/${activationToken}`
+          );
+        }
+      }
+
+      // same answer either way so this can't be used to find sign ups
+      res.status(200).json({
+        success: true,
+        message: "If a sign up is waiting for activation, a new activation email has been sent!",
+      });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -118,6 +216,7 @@ router.post(
 // Login user
 router.post(
   "/login-user",
+  throttle("user-login"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { email, password } = req.body;
@@ -128,17 +227,67 @@ router.post(
 
       const user = await User.findOne({ email }).select("+password");
 
-      if (!user) {
-        return next(new ErrorHandler("User doesn't exist!", 400));
+      const isPasswordValid = await checkPassword(user, password);
+
+      if (!isPasswordValid) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && user) {
+          await sendLockoutMail(user);
+        }
+        return next(new ErrorHandler("Invalid email or password!", 400));
       }
 
-      const isPasswordValid = await user.comparePassword(password);
+      await clearFailures(req.attemptKeys);
 
-      if (!isPasswordValid) {
-        return next(new ErrorHandler("Invalid password!", 400));
+      if (user.twoFactor.enabled) {
+        return res.status(200).json({
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: createTwoFactorChallenge(user, "User"),
+        });
+      }
+
+      await sendToken(user, 201, res);
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Second login step for users with two-factor authentication
+router.post(
+  "/login-2fa",
+  throttle("user-2fa", (req) => jwt.decode(req.body.twoFactorToken || "")?.id),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { twoFactorToken, code } = req.body;
+
+      if (!twoFactorToken || !code) {
+        return next(new ErrorHandler("Please fill all fields!", 400));
+      }
+
+      const userId = verifyTwoFactorChallenge(twoFactorToken, "User");
+
+      if (!userId) {
+        return next(
+          new ErrorHandler("Your login has expired, please login again", 401)
+        );
+      }
+
+      const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+      if (!user || !checkTwoFactorCode(user, code)) {
+        const locked = await recordFailure(req.attemptKeys);
+        if (locked && user) {
+          await sendLockoutMail(user);
+        }
+        return next(new ErrorHandler("Invalid authentication code!", 400));
       }
 
-      sendToken(user, 201, res);
+      await user.save();
+      await clearFailures(req.attemptKeys);
+
+      await sendToken(await User.findById(userId), 201, res);
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
     }
@@ -167,17 +316,67 @@ router.get(
   })
 );
 
+// Refresh access token
+router.post(
+  "/refresh-token",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { refresh_token } = req.cookies;
+
+      if (!refresh_token) {
+        return next(new ErrorHandler("Please login to continue", 401));
+      }
+
+      const rotated = await rotateSession(refresh_token, "User", req);
+
+      if (!rotated) {
+        return next(
+          new ErrorHandler("Your session has expired, please login again", 401)
+        );
+      }
+
+      const user = await User.findById(rotated.session.owner);
+
+      if (!user) {
+        return next(new ErrorHandler("User doesn't exist", 401));
+      }
+
+      const token = user.getJwtToken(rotated.session._id);
+
+      res
+        .status(200)
+        .cookie("token", token, accessCookieOptions())
+        .cookie(
+          "refresh_token",
+          rotated.refreshToken,
+          refreshCookieOptions("/api/v2/user")
+        )
+        .json({
+          success: true,
+          token,
+        });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
 // Log out user
 router.get(
   "/logout",
   catchAsyncErrors(async (req, res, next) => {
     try {
-      res.cookie("token", null, {
-        expires: new Date(Date.now()),
-        httpOnly: true,
-        sameSite: "none",
-        secure: true,
-      });
+      const { refresh_token } = req.cookies;
+
+      if (refresh_token) {
+        await revokeSessions({
+          refreshTokenHash: hashToken(refresh_token),
+          ownerModel: "User",
+        });
+      }
+
+      res.cookie("token", null, clearCookieOptions());
+      res.cookie("refresh_token", null, clearCookieOptions("/api/v2/user"));
       res.status(200).json({
         success: true,
         message: "Log out successful!",
@@ -188,35 +387,19 @@ router.get(
   })
 );
 
-// Update user info
-router.put(
-  "/update-user-info",
+// Get active sessions of user
+router.get(
+  "/get-sessions",
   isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { email, password, phoneNumber, name } = req.body;
-
-      const user = await User.findOne({ email }).select("+password");
-
-      if (!user) {
-        return next(new ErrorHandler("User not found", 400));
-      }
-
-      const isPasswordValid = await user.comparePassword(password);
-
-      if (!isPasswordValid) {
-        return next(new ErrorHandler("Invalid password!", 400));
-      }
-
-      user.name = name;
-      user.email = email;
-      user.phoneNumber = phoneNumber;
-
-      await user.save();
+      const sessions = await getActiveSessions(req.user, "User");
 
       res.status(200).json({
         success: true,
-        user,
+        sessions: sessions.map((session) =>
+          serializeSession(session, req.authSession._id)
+        ),
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -224,56 +407,29 @@ router.put(
   })
 );
 
-// Update user avatar
-router.put(
-  "/update-avatar",
+// Revoke one session of user
+router.delete(
+  "/revoke-session/:id",
   isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const existsUser = await User.findById(req.user.id);
-
-      if (!existsUser) {
-        return next(new ErrorHandler("User not found", 404));
-      }
-
-      if (req.body.avatar !== "") {
-        // Delete old avatar from Cloudinary
-        const imageId = existsUser.avatar.public_id;
-        await cloudinary.v2.uploader.destroy(imageId);
-
-        // Compress the new avatar image using sharp
-        const imageBuffer = Buffer.from(req.body.avatar, "base64");
-        const compressedImageBuffer = await sharp(imageBuffer)
-          .resize({ width: 150 }) // Adjust size as needed
-          .jpeg({ quality: 80 }) // Adjust quality as needed
-          .toBuffer();
-
-        // Convert the buffer to a stream
-        const stream = streamifier.createReadStream(compressedImageBuffer);
-
-        // Upload compressed image to Cloudinary
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.v2.uploader.upload_stream(
-            { folder: "avatars" },
-            (error, result) => {
-              if (error) return reject(error);
-              resolve(result);
-            }
-          ).end(compressedImageBuffer);
-        });
+      const session = await Session.findOne({
+        _id: req.params.id,
+        owner: req.user._id,
+        ownerModel: "User",
+        revokedAt: null,
+      });
 
-        // Update user avatar
-        existsUser.avatar = {
-          public_id: result.public_id,
-          url: result.secure_url,
-        };
+      if (!session) {
+        return next(new ErrorHandler("Session not found", 404));
       }
 
-      await existsUser.save();
+      session.revokedAt = Date.now();
+      await session.save();
 
       res.status(200).json({
         success: true,
-        user: existsUser,
+        message: "Session revoked successfully!",
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -281,20 +437,19 @@ router.put(
   })
 );
 
-// Find user information with the userId
-router.get(
-  "/user-info/:id",
+// Revoke all sessions of user, including this one
+router.delete(
+  "/revoke-all-sessions",
+  isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const user = await User.findById(req.params.id);
-
-      if (!user) {
-        return next(new ErrorHandler("User not found", 404));
-      }
+      await revokeSessions({ owner: req.user._id, ownerModel: "User" });
 
+      res.cookie("token", null, clearCookieOptions());
+      res.cookie("refresh_token", null, clearCookieOptions("/api/v2/user"));
       res.status(200).json({
         success: true,
-        user,
+        message: "All sessions revoked successfully!",
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -302,17 +457,29 @@ router.get(
   })
 );
 
-// All users --- for admin
-router.get(
-  "/admin-all-users",
+// Start two-factor enrollment
+router.post(
+  "/setup-2fa",
   isAuthenticated,
-  isAdmin("Admin"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const users = await User.find().sort({ createdAt: -1 });
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
+        );
+      }
+
+      const { secret, otpauthUrl, qrCode } = await startEnrollment(user);
+
+      await user.save();
+
       res.status(200).json({
         success: true,
-        users,
+        secret,
+        otpauthUrl,
+        qrCode,
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -320,29 +487,32 @@ router.get(
   })
 );
 
-// Delete user --- admin
-router.delete(
-  "/delete-user/:id",
+// Confirm two-factor enrollment with a code from the app
+router.post(
+  "/enable-2fa",
   isAuthenticated,
-  isAdmin("Admin"),
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const user = await User.findById(req.params.id);
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
 
-      if (!user) {
+      if (user.twoFactor.enabled) {
         return next(
-          new ErrorHandler("User not found", 404)
+          new ErrorHandler("Two-factor authentication is already enabled", 400)
         );
       }
 
-      const imageId = user.avatar.public_id;
-      await cloudinary.v2.uploader.destroy(imageId);
+      const recoveryCodes = finishEnrollment(user, req.body.code);
 
-      await User.findByIdAndDelete(req.params.id);
+      if (!recoveryCodes) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      await user.save();
 
       res.status(200).json({
         success: true,
-        message: "User deleted successfully!",
+        recoveryCodes,
+        message: "Two-factor authentication enabled!",
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -350,37 +520,59 @@ router.delete(
   })
 );
 
-// Route to send password reset email
+// Turn two-factor authentication off
 router.post(
-  "/forgot-password",
+  "/disable-2fa",
+  isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { email } = req.body;
+      const { password, code } = req.body;
 
-      if (!email) {
-        return next(new ErrorHandler("Email is required", 400));
-      }
+      const user = await User.findById(req.user._id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
 
-      const user = await User.findOne({ email });
+      const isPasswordValid = await user.comparePassword(password || "");
 
-      if (!user) {
-        return next(new ErrorHandler("User not found", 404));
+      if (!isPasswordValid || !checkTwoFactorCode(user, code)) {
+        return next(
+          new ErrorHandler("Invalid password or authentication code!", 400)
+        );
       }
 
-      // Create a reset token
-      const resetToken = createToken(user);
+      disableTwoFactor(user);
 
-      const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+      await user.save();
 
-      await sendMail({
-        email: user.email,
-        subject: "Password Reset Request",
-        message: `Hi ${user.name},\n\nYou requested a password reset. Click the link below to reset your password:\n\n${resetUrl}\n\nIf you didn't request this, please ignore this email.`,
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled!",
       });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Replace the recovery codes
+router.post(
+  "/regenerate-recovery-codes",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!checkTwoFactorCode(user, req.body.code)) {
+        return next(new ErrorHandler("Invalid authentication code!", 400));
+      }
+
+      const recoveryCodes = regenerateRecoveryCodes(user);
+
+      await user.save();
 
       res.status(200).json({
         success: true,
-        message: "Password reset email sent!",
+        recoveryCodes,
       });
     } catch (error) {
       return next(new ErrorHandler(error.message, 500));
@@ -388,15 +580,662 @@ router.post(
   })
 );
 
-// Route to reset password
-router.post(
-  "/reset-password",
+// Update user info
+router.put(
+  "/update-user-info",
+  isAuthenticated,
   catchAsyncErrors(async (req, res, next) => {
     try {
-      const { token, newPassword } = req.body;
+      const { email, password, phoneNumber, name } = req.body;
 
-      if (!token || !newPassword) {
-        return next(new ErrorHandler("Token and new password are required", 400));
+      const user = await User.findById(req.user._id).select("+password");
+
+      if (!user) {
+        return next(new ErrorHandler("User not found", 400));
+      }
+
+      const isPasswordValid = await user.comparePassword(password || "");
+
+      if (!isPasswordValid) {
+        return next(new ErrorHandler("Invalid password!", 400));
+      }
+
+      user.name = name;
+      user.phoneNumber = phoneNumber;
+
+      // a new email is only used after it is confirmed from its inbox
+      let changeToken;
+      if (email && email !== user.email) {
+        const isEmailTaken = await User.findOne({ email });
+
+        if (isEmailTaken) {
+          return next(new ErrorHandler("Email is already in use", 400));
+        }
+
+        changeToken = user.getEmailChangeToken(email);
+      }
+
+      await user.save();
+
+      if (changeToken) {
+        await sendEmailChangeMails(user, changeToken, "confirm-email-change");
+      }
+
+      res.status(200).json({
+        success: true,
+        user: await User.findById(user._id),
+        message: changeToken
+          ? `Please check ${email} to confirm your new email address!`
+          : undefined,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Confirm email change from the link sent to the new address
+router.post(
+  "/confirm-email-change",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return next(new ErrorHandler("Token is missing", 400));
+      }
+
+      const user = await User.findOne({
+        emailChangeToken: hashToken(token),
+        emailChangeExpires: { $gt: Date.now() },
+      }).select("+pendingEmail");
+
+      if (!user) {
+        return next(new ErrorHandler("Invalid or expired token", 400));
+      }
+
+      const isEmailTaken = await User.findOne({ email: user.pendingEmail });
+
+      if (isEmailTaken) {
+        return next(new ErrorHandler("Email is already in use", 400));
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Email updated successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Change password
+router.put(
+  "/change-password",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { oldPassword, newPassword } = req.body;
+
+      if (!oldPassword || !newPassword) {
+        return next(new ErrorHandler("Please fill all fields!", 400));
+      }
+
+      if (newPassword.length < 4) {
+        return next(
+          new ErrorHandler("Password should be greater than 4 characters", 400)
+        );
+      }
+
+      const user = await User.findById(req.user._id).select("+password");
+
+      const isPasswordValid = await user.comparePassword(oldPassword);
+
+      if (!isPasswordValid) {
+        return next(new ErrorHandler("Old password is incorrect!", 400));
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      // everyone else logged in with the old password has to login again
+      await revokeSessions({
+        owner: user._id,
+        ownerModel: "User",
+        _id: { $ne: req.authSession._id },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Password updated successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Update user avatar
+router.put(
+  "/update-avatar",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const existsUser = await User.findById(req.user.id);
+
+      if (!existsUser) {
+        return next(new ErrorHandler("User not found", 404));
+      }
+
+      if (req.body.avatar !== "") {
+        // Delete old avatar from Cloudinary
+        const imageId = existsUser.avatar.public_id;
+        await cloudinary.v2.uploader.destroy(imageId);
+
+        // Compress the new avatar image using sharp
+        const imageBuffer = Buffer.from(req.body.avatar, "base64");
+        const compressedImageBuffer = await sharp(imageBuffer)
+          .resize({ width: 150 }) // Adjust size as needed
+          .jpeg({ quality: 80 }) // Adjust quality as needed
+          .toBuffer();
+
+        // Convert the buffer to a stream
+        const stream = streamifier.createReadStream(compressedImageBuffer);
+
+        // Upload compressed image to Cloudinary
+        const result = await new Promise((resolve, reject) => {
+          cloudinary.v2.uploader.upload_stream(
+            { folder: "avatars" },
+            (error, result) => {
+              if (error) return reject(error);
+              resolve(result);
+            }
+          ).end(compressedImageBuffer);
+        });
+
+        // Update user avatar
+        existsUser.avatar = {
+          public_id: result.public_id,
+          url: result.secure_url,
+        };
+      }
+
+      await existsUser.save();
+
+      res.status(200).json({
+        success: true,
+        user: existsUser,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// pick the address fields from a request body
+const addressFromBody = (body) => {
+  const address = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      address[field] = body[field];
+    }
+  });
+  if (address.country) {
+    address.country = String(address.country).trim().toUpperCase();
+  }
+  if (address.city) {
+    address.city = String(address.city).trim();
+  }
+  return address;
+};
+
+// Add address to address book
+router.post(
+  "/add-address",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const address = addressFromBody(req.body);
+
+      const error = validateAddress(address);
+
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      const user = await User.findById(req.user._id);
+
+      // the first address is the default one until the user picks another
+      address.isDefault = user.addresses.length === 0 || !!req.body.isDefault;
+
+      if (address.isDefault) {
+        user.addresses.forEach((item) => {
+          item.isDefault = false;
+        });
+      }
+
+      user.addresses.push(address);
+
+      await user.save();
+
+      res.status(201).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Update an address in the address book
+router.put(
+  "/update-address/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      const address = user.addresses.id(req.params.id);
+
+      if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+      }
+
+      const updated = { ...address.toObject(), ...addressFromBody(req.body) };
+
+      const error = validateAddress(updated);
+
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      address.set(addressFromBody(req.body));
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Delete an address from the address book
+router.delete(
+  "/delete-address/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      const address = user.addresses.id(req.params.id);
+
+      if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+      }
+
+      const wasDefault = address.isDefault;
+
+      address.deleteOne();
+
+      if (wasDefault && user.addresses.length > 0) {
+        user.addresses[0].isDefault = true;
+      }
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Set the default shipping address
+router.put(
+  "/set-default-address/:id",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      const address = user.addresses.id(req.params.id);
+
+      if (!address) {
+        return next(new ErrorHandler("Address not found", 404));
+      }
+
+      user.addresses.forEach((item) => {
+        item.isDefault = item._id.equals(address._id);
+      });
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// wishlisted products that are still on sale, newest first
+const wishlistOf = async (userId) => {
+  const user = await User.findById(userId).populate(
+    "wishlist.product",
+    "name images originalPrice discountPrice stock ratings shopId"
+  );
+
+  return user.wishlist
+    .filter((entry) => entry.product)
+    .sort((a, b) => b.addedAt - a.addedAt);
+};
+
+// Get the wishlist of the user
+router.get(
+  "/get-wishlist",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        wishlist: await wishlistOf(req.user._id),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Add a product to the wishlist
+router.post(
+  "/add-to-wishlist",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const product = await Product.findById(req.body.productId).select(
+        "discountPrice stock"
+      );
+
+      if (!product) {
+        return next(new ErrorHandler("Product is not found with this id", 404));
+      }
+
+      await User.updateOne(
+        { _id: req.user._id, "wishlist.product": { $ne: product._id } },
+        { $push: { wishlist: { product: product._id, ...snapshotOf(product) } } }
+      );
+
+      res.status(201).json({
+        success: true,
+        wishlist: await wishlistOf(req.user._id),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Remove a product from the wishlist
+router.delete(
+  "/remove-from-wishlist/:productId",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { wishlist: { product: req.params.productId } } }
+      );
+
+      res.status(200).json({
+        success: true,
+        wishlist: await wishlistOf(req.user._id),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Download all personal data of the user
+router.get(
+  "/export-data",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const data = await buildUserDataExport(req.user);
+
+      res.setHeader("Content-Type", "application/json");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="guriraline-data-${req.user._id}.json"`
+      );
+      res.status(200).send(JSON.stringify(data, null, 2));
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Schedule account deletion after the grace period
+router.post(
+  "/request-account-deletion",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select("+password");
+
+      const isPasswordValid = await user.comparePassword(req.body.password || "");
+
+      if (!isPasswordValid) {
+        return next(new ErrorHandler("Invalid password!", 400));
+      }
+
+      user.deletionScheduledAt = new Date(
+        Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+      );
+
+      await user.save();
+
+      // only this session stays open so the user can still cancel
+      await revokeSessions({
+        owner: user._id,
+        ownerModel: "User",
+        _id: { $ne: req.authSession._id },
+      });
+
+      await sendMail({
+        email: user.email,
+        subject: "Your account will be deleted",
+        message: `Hello ${user.name},\n\nYour Guriraline account will be deleted on ${user.deletionScheduledAt.toDateString()}. Your orders and reviews will be kept without your name.\n\nIf you change your mind, login and cancel the deletion before then.`,
+      });
+
+      res.status(200).json({
+        success: true,
+        deletionScheduledAt: user.deletionScheduledAt,
+        message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days`,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Cancel a scheduled account deletion
+router.post(
+  "/cancel-account-deletion",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select("+deletionScheduledAt");
+
+      if (!user.deletionScheduledAt) {
+        return next(new ErrorHandler("Account deletion is not scheduled", 400));
+      }
+
+      user.deletionScheduledAt = undefined;
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Account deletion cancelled!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Find user information with the userId
+router.get(
+  "/user-info/:id",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return next(new ErrorHandler("User not found", 404));
+      }
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// All users --- for admin
+router.get(
+  "/admin-all-users",
+  isAuthenticated,
+  hasPermission("users:read"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const users = await User.find().sort({ createdAt: -1 });
+      res.status(200).json({
+        success: true,
+        users,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Delete user --- admin
+router.delete(
+  "/delete-user/:id",
+  isAuthenticated,
+  hasPermission("users:delete"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return next(
+          new ErrorHandler("User not found", 404)
+        );
+      }
+
+      const imageId = user.avatar.public_id;
+      await cloudinary.v2.uploader.destroy(imageId);
+
+      await User.findByIdAndDelete(req.params.id);
+
+      await recordAudit(req, {
+        action: "user.delete",
+        targetType: "User",
+        targetId: user._id,
+        before: user,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "User deleted successfully!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Route to send password reset email
+router.post(
+  "/forgot-password",
+  throttle("user-forgot-password"),
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return next(new ErrorHandler("Email is required", 400));
+      }
+
+      // every request counts, this endpoint sends emails
+      await recordFailure(req.attemptKeys);
+
+      const user = await User.findOne({ email });
+
+      // same answer either way so this can't be used to find user emails
+      if (user) {
+        // Create a reset token
+        const resetToken = createToken(user);
+
+        const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+
+        await sendMail({
+          email: user.email,
+          subject: "Password Reset Request",
+          message: `Hi ${user.name},\n\nYou requested a password reset. Click the link below to reset your password:\n\n${resetUrl}\n\nIf you didn't request this, please ignore this email.`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "If an account exists with this email, a password reset email has been sent!",
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// Route to reset password
+router.post(
+  "/reset-password",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      if (!token || !newPassword) {
+        return next(new ErrorHandler("Token and new password are required", 400));
+      }
+
+      if (newPassword.length < 4) {
+        return next(
+          new ErrorHandler("Password should be greater than 4 characters", 400)
+        );
       }
 
       // Verify the token
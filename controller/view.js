@@ -0,0 +1,133 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Product = require("../model/product");
+const Shop = require("../model/shop");
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { isAuthenticated, loadUser } = require("../middleware/auth");
+const { findCategories, withDescendants } = require("../utils/category");
+const {
+  isBot,
+  recordView,
+  getRecentlyViewed,
+  getTrendingProducts,
+} = require("../utils/views");
+
+const MAX_LIMIT = 50;
+
+const TRENDING_PERIODS = { "24h": 24, "7d": 7 * 24 };
+
+const limitOf = (query, defaultLimit) =>
+  Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+
+// count a view of a product or shop page
+router.post(
+  "/track-view",
+  loadUser,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { targetType, targetId } = req.body;
+
+      if (!["product", "shop"].includes(targetType)) {
+        return next(new ErrorHandler("targetType must be product or shop", 400));
+      }
+
+      if (isBot(req)) {
+        return res.status(200).json({ success: true, counted: false });
+      }
+
+      let target = null;
+      if (mongoose.isValidObjectId(targetId)) {
+        target =
+          targetType === "product"
+            ? await Product.findById(targetId).select("category")
+            : await Shop.findById(targetId).select("_id");
+      }
+
+      if (!target) {
+        return next(new ErrorHandler(`${targetType} is not found with this id`, 404));
+      }
+
+      const counted = await recordView(req, res, {
+        targetType,
+        targetId: target._id,
+        category: target.category,
+      });
+
+      res.status(200).json({
+        success: true,
+        counted,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// products the user viewed last
+router.get(
+  "/get-recently-viewed",
+  isAuthenticated,
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        products: await getRecentlyViewed(req.user, limitOf(req.query, 20)),
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+// most viewed products of the last 24h or 7d, in a category and with
+// includeDescendants=true its subcategories too
+router.get(
+  "/get-trending-products",
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { period = "24h", category } = req.query;
+
+      if (!TRENDING_PERIODS[period]) {
+        return next(
+          new ErrorHandler(
+            `period must be one of ${Object.keys(TRENDING_PERIODS).join(", ")}`,
+            400
+          )
+        );
+      }
+
+      let categoryIds;
+
+      if (category) {
+        const categories = await findCategories([String(category)]);
+
+        if (!categories.length) {
+          return next(new ErrorHandler("Category not found", 404));
+        }
+
+        categoryIds =
+          req.query.includeDescendants === "true"
+            ? await withDescendants(categories)
+            : categories.map((item) => item._id);
+      }
+
+      const products = await getTrendingProducts({
+        hours: TRENDING_PERIODS[period],
+        categoryIds,
+        limit: limitOf(req.query, 10),
+      });
+
+      res.status(200).json({
+        success: true,
+        period,
+        products,
+      });
+    } catch (error) {
+      return next(new ErrorHandler(error.message, 500));
+    }
+  })
+);
+
+module.exports = router;
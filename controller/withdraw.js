@@ -2,15 +2,23 @@ const Shop = require("../model/shop");
 const ErrorHandler = require("../utils/ErrorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const express = require("express");
-const { isSeller, isAuthenticated, isAdmin } = require("../middleware/auth");
+const {
+  isSeller,
+  isAuthenticated,
+  sellerCan,
+  hasPermission,
+} = require("../middleware/auth");
 const Withdraw = require("../model/withdraw");
 const sendMail = require("../utils/sendMail");
+const { sellerActor } = require("../utils/shopRoles");
+const recordAudit = require("../utils/audit");
 const router = express.Router();
 
 // create withdraw request --- only for seller
 router.post(
   "/create-withdraw-request",
   isSeller,
+  sellerCan("withdraw:create"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { amount } = req.body;
@@ -18,6 +26,7 @@ router.post(
       const data = {
         seller: req.seller,
         amount,
+        requestedBy: sellerActor(req),
       };
 
       try {
@@ -37,10 +46,20 @@ router.post(
 
       const shop = await Shop.findById(req.seller._id);
 
+      const balanceBefore = shop.availableBalance;
+
       shop.availableBalance = shop.availableBalance - amount;
 
       await shop.save();
 
+      await recordAudit(req, {
+        action: "withdraw.request",
+        targetType: "Withdraw",
+        targetId: withdraw._id,
+        before: { availableBalance: balanceBefore },
+        after: { amount, availableBalance: shop.availableBalance },
+      });
+
       res.status(201).json({
         success: true,
         withdraw,
@@ -56,7 +75,7 @@ router.post(
 router.get(
   "/get-all-withdraw-request",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("withdraw:read"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const withdraws = await Withdraw.find().sort({ createdAt: -1 });
@@ -75,11 +94,17 @@ router.get(
 router.put(
   "/update-withdraw-request/:id",
   isAuthenticated,
-  isAdmin("Admin"),
+  hasPermission("withdraw:approve"),
   catchAsyncErrors(async (req, res, next) => {
     try {
       const { sellerId } = req.body;
 
+      const previous = await Withdraw.findById(req.params.id);
+
+      if (!previous) {
+        return next(new ErrorHandler("Withdraw request not found", 404));
+      }
+
       const withdraw = await Withdraw.findByIdAndUpdate(
         req.params.id,
         {
@@ -89,6 +114,14 @@ router.put(
         { new: true }
       );
 
+      await recordAudit(req, {
+        action: "withdraw.approve",
+        targetType: "Withdraw",
+        targetId: withdraw._id,
+        before: { status: previous.status, amount: previous.amount },
+        after: { status: withdraw.status, amount: withdraw.amount },
+      });
+
       const seller = await Shop.findById(sellerId);
 
       const transection = {
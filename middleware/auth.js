@@ -3,6 +3,41 @@ const catchAsyncErrors = require("./catchAsyncErrors");
 const jwt = require("jsonwebtoken");
 const User = require("../model/user");
 const Shop = require("../model/shop");
+const Session = require("../model/session");
+const Role = require("../model/role");
+const ShopMember = require("../model/shopMember");
+const ApiKey = require("../model/apiKey");
+const { touchSession, hashToken } = require("../utils/session");
+const { isAdminTwoFactorRequired } = require("../utils/twoFactor");
+const { SHOP_ROLES } = require("../utils/shopRoles");
+const { apiKeyFromRequest } = require("../utils/apiKey");
+
+// only bump lastUsedAt once a minute
+const API_KEY_USED_INTERVAL = 60 * 1000;
+
+// resolve an access token to its session, null if it is expired or revoked
+const verifyAccessToken = async (token, ownerModel) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    } catch (error) {
+        return null;
+    }
+
+    if(!decoded.sid){
+        return null;
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if(!session || !session.isActive() || session.ownerModel !== ownerModel || !session.owner.equals(decoded.id)){
+        return null;
+    }
+
+    await touchSession(session);
+
+    return { decoded, session };
+};
 
 exports.isAuthenticated = catchAsyncErrors(async(req,res,next) => {
     const {token} = req.cookies;
@@ -11,33 +46,176 @@ exports.isAuthenticated = catchAsyncErrors(async(req,res,next) => {
         return next(new ErrorHandler("Please login to continue", 401));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    const verified = await verifyAccessToken(token, "User");
 
-    req.user = await User.findById(decoded.id);
+    if(!verified){
+        return next(new ErrorHandler("Your session has expired, please login again", 401));
+    }
+
+    req.user = await User.findById(verified.decoded.id);
+
+    if(!req.user){
+        return next(new ErrorHandler("Please login to continue", 401));
+    }
+
+    req.authSession = verified.session;
 
     next();
 });
 
+// attach the user when the request has a valid session, go on anonymously otherwise
+exports.loadUser = catchAsyncErrors(async(req,res,next) => {
+    const {token} = req.cookies;
+    const verified = token && await verifyAccessToken(token, "User");
+
+    if(verified){
+        req.user = await User.findById(verified.decoded.id);
+        req.authSession = verified.session;
+    }
 
-exports.isSeller = catchAsyncErrors(async(req,res,next) => {
+    next();
+});
+
+
+const isSeller = catchAsyncErrors(async(req,res,next) => {
     const {seller_token} = req.cookies;
     if(!seller_token){
         return next(new ErrorHandler("Please login to continue", 401));
     }
 
-    const decoded = jwt.verify(seller_token, process.env.JWT_SECRET_KEY);
+    const verified = await verifyAccessToken(seller_token, "Shop");
+
+    if(!verified){
+        return next(new ErrorHandler("Your session has expired, please login again", 401));
+    }
+
+    req.seller = await Shop.findById(verified.decoded.id);
+
+    if(!req.seller){
+        return next(new ErrorHandler("Please login to continue", 401));
+    }
+
+    req.member = null;
+
+    if(verified.session.member){
+        req.member = await ShopMember.findOne({
+            _id: verified.session.member,
+            shop: req.seller._id,
+            status: "active",
+        });
 
-    req.seller = await Shop.findById(decoded.id);
+        if(!req.member){
+            return next(new ErrorHandler("Please login to continue", 401));
+        }
+
+        // sessions started before the shop required two-factor authentication
+        if(req.seller.requireStaffTwoFactor && !req.member.twoFactor.enabled){
+            return next(new ErrorHandler("Your shop requires two-factor authentication, please login again", 401));
+        }
+    }
+
+    req.authSession = verified.session;
 
     next();
 });
 
+exports.isSeller = isSeller;
+
 
-exports.isAdmin = (...roles) => {
+// seller cookie or a shop api key sent as a bearer token; what a key may do
+// is checked by sellerCan against its scopes
+exports.isSellerOrApiKey = catchAsyncErrors(async(req,res,next) => {
+    const key = apiKeyFromRequest(req);
+
+    if(!key){
+        return isSeller(req,res,next);
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+
+    if(!apiKey){
+        return next(new ErrorHandler("Invalid API key", 401));
+    }
+
+    req.seller = await Shop.findById(apiKey.shop);
+
+    if(!req.seller){
+        return next(new ErrorHandler("Invalid API key", 401));
+    }
+
+    req.member = null;
+    req.apiKey = apiKey;
+
+    if(!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_USED_INTERVAL){
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now() });
+    }
+
+    next();
+});
+
+
+// scheduled jobs authenticate with the shared cron secret
+exports.isCron = (req,res,next) => {
+    const expected = `Bearer ${process.env.CRON_SECRET}`;
+
+    if(!process.env.CRON_SECRET || req.headers.authorization !== expected){
+        return next(new ErrorHandler("Not allowed", 401));
+    }
+    next();
+}
+
+
+// shop staff need a role that grants the permission and api keys a matching
+// scope, the owner always passes
+exports.sellerCan = (...permissions) => {
     return (req,res,next) => {
-        if(!roles.includes(req.user.role)){
-            return next(new ErrorHandler(`${req.user.role} can not access this resources!`))
-        };
+        if(req.apiKey){
+            if(!permissions.every((permission) => req.apiKey.scopes.includes(permission))){
+                return next(new ErrorHandler("This API key is missing the scope for this resources!", 403));
+            }
+            return next();
+        }
+
+        if(!req.member){
+            return next();
+        }
+
+        const granted = SHOP_ROLES[req.member.role] || [];
+
+        if(!permissions.every((permission) => granted.includes(permission))){
+            return next(new ErrorHandler(`${req.member.role} can not access this resources!`, 403));
+        }
+
         next();
     }
-}
\ No newline at end of file
+}
+
+
+exports.isShopOwner = (req,res,next) => {
+    if(req.member || req.apiKey){
+        return next(new ErrorHandler("Only the shop owner can access this resources!", 403));
+    }
+    next();
+}
+
+
+exports.hasPermission = (...permissions) => {
+    return catchAsyncErrors(async(req,res,next) => {
+        if(!req.user){
+            return next(new ErrorHandler("Please login to continue", 401));
+        }
+
+        const granted = await Role.getPermissions(req.user.role);
+
+        if(!permissions.every((permission) => granted.includes(permission))){
+            return next(new ErrorHandler("You do not have permission to access this resources!", 403));
+        };
+        if(isAdminTwoFactorRequired() && !req.user.twoFactor.enabled){
+            return next(new ErrorHandler("Please enable two-factor authentication to access this resources!", 403));
+        }
+
+        req.permissions = granted;
+
+        next();
+    });
+}
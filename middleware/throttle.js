@@ -0,0 +1,29 @@
+const ErrorHandler = require("../utils/ErrorHandler");
+const catchAsyncErrors = require("./catchAsyncErrors");
+const { getClientIp } = require("../utils/session");
+const { attemptKeys, getRetryAfter } = require("../utils/loginAttempts");
+
+// reject the request while its ip or account is delayed or locked; the route
+// records failures and successes against req.attemptKeys
+const throttle = (scope, getIdentifier = (req) => req.body.email) =>
+  catchAsyncErrors(async (req, res, next) => {
+    const keys = attemptKeys(scope, getClientIp(req), getIdentifier(req));
+
+    const retryAfter = await getRetryAfter(keys);
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return next(
+        new ErrorHandler(
+          `Too many attempts, please try again in ${retryAfter} seconds`,
+          429
+        )
+      );
+    }
+
+    req.attemptKeys = keys;
+
+    next();
+  });
+
+module.exports = throttle;
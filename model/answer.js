@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// an answer to a product question, from the shop or a buyer who received
+// the product
+const answerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["shop", "buyer"],
+      required: true,
+    },
+    // the buyer who answered, null once they deleted their account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // owner or staff member who answered for the shop
+    answeredBy: {
+      type: Object,
+    },
+    author: {
+      name: {
+        type: String,
+      },
+      avatar: {
+        type: String,
+      },
+    },
+    body: {
+      type: String,
+      required: [true, "Please write your answer!"],
+      trim: true,
+      maxLength: [2000, "Answer can not be longer than 2000 characters"],
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+    upvoters: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+answerSchema.index({ question: 1, upvoteCount: -1, createdAt: 1 });
+answerSchema.index({ user: 1 });
+
+module.exports = mongoose.model("Answer", answerSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = [
+  "products:read",
+  "products:write",
+  "orders:read",
+  "orders:write",
+];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please enter a name for the key!"],
+      trim: true,
+    },
+    // shown in the dashboard so keys can be told apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: {
+          values: API_KEY_SCOPES,
+          message: "{VALUE} is not a valid scope",
+        },
+      },
+    ],
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// append only record of destructive and financial actions
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    // "admin", "owner", "member" or "apiKey"
+    kind: {
+      type: String,
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    name: {
+      type: String,
+    },
+    email: {
+      type: String,
+    },
+    role: {
+      type: String,
+    },
+    // shop the seller or staff member acted for
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  target: {
+    type: {
+      type: String,
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  before: {
+    type: Object,
+  },
+  after: {
+    type: Object,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error("Audit log entries can not be changed or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// the cart of a user, kept on the server so it follows them across devices
+// and checkout doesn't have to trust prices sent by the browser
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        // event products are sold from the Event collection
+        model: {
+          type: String,
+          enum: ["Product", "Event"],
+          default: "Product",
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        qty: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+        // the unit price the buyer was last shown, to flag price changes
+        price: {
+          type: Number,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// how many checkouts had both products, rebuilt from the orders by the
+// recommendations cron
+const coPurchaseSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  related: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  count: {
+    type: Number,
+    required: true,
+  },
+  computedAt: {
+    type: Date,
+  },
+});
+
+coPurchaseSchema.index({ product: 1, count: -1 });
+
+module.exports = mongoose.model("CoPurchase", coPurchaseSchema);
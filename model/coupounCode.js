@@ -23,6 +23,10 @@ const coupounCodeSchema = new mongoose.Schema({
     selectedProduct:{
      type: String,
     },
+    // owner or staff member who created the coupon
+    createdBy:{
+     type: Object,
+    },
     createdAt:{
         type: Date,
         default: Date.now(),
@@ -10,7 +10,8 @@ const eventSchema = new mongoose.Schema({
         required:[true,"Please enter your event product description!"],
     },
     category:{
-        type: String,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
         required:[true,"Please enter your event product category!"],
     },
     start_Date: {
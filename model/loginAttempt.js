@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// failed attempt counters, shared by every server instance
+const loginAttemptSchema = new mongoose.Schema({
+  // e.g. "user-login:account:jane@example.com:1.2.3.4" or "user-login:ip:1.2.3.4"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// counters are forgotten a while after the last failure
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -21,6 +21,39 @@ const orderSchema = new mongoose.Schema({
         type: String,
         default: "Processing",
     },
+    // every status change made by the shop, with the owner or staff member who made it
+    statusHistory:[
+        {
+            status:{
+                type: String,
+            },
+            changedBy:{
+                type: Object,
+            },
+            changedAt:{
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    // stock taken for the cart: "held" from checkout, "committed" once the
+    // order ships and "released" when it goes back on sale. Orders made
+    // before checkout reserved stock have none.
+    reservation:{
+        status:{
+            type: String,
+            enum: ["held", "committed", "released"],
+        },
+        // until the order is paid, or confirmed by the seller when it is
+        // cash on delivery
+        expiresAt:{
+            type: Date,
+        },
+    },
+    // shared by the orders placed together in one checkout, one per shop
+    checkoutId:{
+        type: String,
+    },
     paymentInfo:{
         id:{
             type: String,
@@ -45,4 +78,6 @@ const orderSchema = new mongoose.Schema({
     },
 });
 
+orderSchema.index({ "reservation.status": 1, "reservation.expiresAt": 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
\ No newline at end of file
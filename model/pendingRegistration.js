@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// sign ups waiting for email activation, the account is created from this
+const pendingRegistrationSchema = new mongoose.Schema(
+  {
+    accountType: {
+      type: String,
+      required: true,
+      enum: ["User", "Shop"],
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+    },
+    // the image as sent at sign up, only uploaded once the account is activated
+    avatarData: {
+      type: String,
+    },
+    // already uploaded avatar of sign ups made before avatarData
+    avatar: {
+      public_id: {
+        type: String,
+      },
+      url: {
+        type: String,
+      },
+    },
+    // extra shop fields: address, phoneNumber, zipCode
+    details: {
+      type: Object,
+    },
+    activationCodeHash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    resendCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+pendingRegistrationSchema.index({ accountType: 1, email: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+  "PendingRegistration",
+  pendingRegistrationSchema
+);
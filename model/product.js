@@ -1,16 +1,34 @@
 const mongoose = require("mongoose");
+const ErrorHandler = require("../utils/ErrorHandler");
+
+const imageSchema = new mongoose.Schema({
+  public_id: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+});
 
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, "Please enter your product name!"],
   },
+  // the seller's own reference, used to match rows of a csv import
+  sku: {
+    type: String,
+    trim: true,
+  },
   description: {
     type: String,
     required: [true, "Please enter your product description!"],
   },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
     required: [true, "Please enter your product category!"],
   },
   tags: {
@@ -35,18 +53,62 @@ const productSchema = new mongoose.Schema({
     type: Number,
     required: [true, "Please enter your product stock!"],
   },
-  images: [
+  // alert the seller when stock gets this low, the shop default when unset
+  lowStockThreshold: {
+    type: Number,
+    min: [0, "Low stock threshold can not be negative"],
+  },
+  images: [imageSchema],
+  // option axes such as size or color and the values each one can take
+  options: [
     {
-      public_id: {
+      _id: false,
+      name: {
         type: String,
         required: true,
+        trim: true,
       },
-      url: {
+      values: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+    },
+  ],
+  // when a product has variants its stock and price are the variants' total
+  // stock and lowest price, kept in sync on save
+  variants: [
+    {
+      sku: {
         type: String,
+        required: [true, "Please enter the variant sku!"],
+        trim: true,
+      },
+      // value of every option axis, e.g. { size: "M", color: "Red" }
+      options: {
+        type: Object,
         required: true,
       },
+      originalPrice: {
+        type: Number,
+      },
+      price: {
+        type: Number,
+        required: [true, "Please enter the variant price!"],
+      },
+      stock: {
+        type: Number,
+        required: [true, "Please enter the variant stock!"],
+      },
+      sold_out: {
+        type: Number,
+        default: 0,
+      },
+      images: [imageSchema],
     },
   ],
+  // reviews written before they moved to the Review collection
   reviews: [
     {
       user: {
@@ -67,9 +129,27 @@ const productSchema = new mongoose.Schema({
       }
     },
   ],
+  // average rating, kept up to date with ratingSum and numOfReviews as
+  // reviews are added, changed and removed
   ratings: {
     type: Number,
   },
+  ratingSum: {
+    type: Number,
+    default: 0,
+  },
+  numOfReviews: {
+    type: Number,
+    default: 0,
+  },
+  // how many reviews gave each number of stars
+  ratingCounts: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 },
+  },
   shopId: {
     type: String,
     required: true,
@@ -82,10 +162,113 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // owner or staff member who created the product
+  createdBy: {
+    type: Object,
+  },
   createdAt: {
     type: Date,
-    default: Date.now(),
+    default: Date.now,
   },
+},
+// checkout changes stock with atomic updates that bump the version, so a
+// save of a product loaded before that can't write the old stock back
+{ optimisticConcurrency: true });
+
+// every variant must set each option axis to one of its values, once
+const checkVariants = (product) => {
+  const seen = new Set();
+  const skus = new Set();
+
+  for (const variant of product.variants) {
+    const options = variant.options || {};
+
+    for (const axis of product.options) {
+      if (!axis.values.includes(options[axis.name])) {
+        return `Variant ${variant.sku} needs a valid ${axis.name}`;
+      }
+    }
+
+    if (Object.keys(options).length !== product.options.length) {
+      return `Variant ${variant.sku} has an unknown option`;
+    }
+
+    const key = product.options.map((axis) => options[axis.name]).join("/");
+    if (seen.has(key)) {
+      return `There is more than one variant for ${key}`;
+    }
+    if (skus.has(variant.sku)) {
+      return `Sku ${variant.sku} is used by more than one variant`;
+    }
+    seen.add(key);
+    skus.add(variant.sku);
+  }
+
+  return null;
+};
+
+const syncVariantTotals = (product) => {
+  if (!product.variants.length) {
+    return;
+  }
+
+  product.stock = product.variants.reduce((sum, v) => sum + v.stock, 0);
+  product.discountPrice = Math.min(...product.variants.map((v) => v.price));
+};
+
+productSchema.pre("validate", function (next) {
+  if (this.variants.length) {
+    if (!this.options.length) {
+      return next(new Error("Please add the options the variants differ by!"));
+    }
+
+    const error = checkVariants(this);
+    if (error) {
+      return next(new Error(error));
+    }
+  }
+
+  syncVariantTotals(this);
+  next();
 });
 
+// saves that skip validation still keep the totals right
+productSchema.pre("save", function (next) {
+  syncVariantTotals(this);
+  next();
+});
+
+productSchema.post("save", function (error, doc, next) {
+  if (error.name === "VersionError") {
+    return next(
+      new ErrorHandler(
+        "This product changed while you were editing it, please reload and try again",
+        409
+      )
+    );
+  }
+  next(error);
+});
+
+productSchema.methods.getVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+productSchema.index(
+  { name: "text", description: "text", tags: "text" },
+  { name: "product_search", weights: { name: 5, tags: 3, description: 1 } }
+);
+productSchema.index({ category: 1, discountPrice: 1 });
+// the catalog search sorts, ties broken by _id
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ discountPrice: 1, _id: 1 });
+productSchema.index({ sold_out: -1, _id: -1 });
+productSchema.index({ ratings: -1, _id: -1 });
+productSchema.index({ shopId: 1, createdAt: -1 });
+productSchema.index({ shopId: 1, "variants.sku": 1 });
+productSchema.index(
+  { shopId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+
 module.exports = mongoose.model("Product", productSchema);
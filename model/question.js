@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// a public pre-sale question on a product
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    shopId: {
+      type: String,
+      required: true,
+    },
+    // null once the asker deleted their account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    author: {
+      name: {
+        type: String,
+      },
+      avatar: {
+        type: String,
+      },
+    },
+    body: {
+      type: String,
+      required: [true, "Please write your question!"],
+      trim: true,
+      maxLength: [1000, "Question can not be longer than 1000 characters"],
+    },
+    answerCount: {
+      type: Number,
+      default: 0,
+    },
+    // the shop's unanswered inbox is the questions without a shop answer
+    answeredByShop: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+questionSchema.index({ product: 1, createdAt: -1 });
+questionSchema.index({ shopId: 1, answeredByShop: 1, createdAt: -1 });
+questionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Question", questionSchema);
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+// a review of one delivered order line
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    shopId: {
+      type: String,
+      required: true,
+    },
+    // reviews moved from products may not have a delivered order to point to
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: function () {
+        return !this.legacy;
+      },
+    },
+    // written on the product before reviews had their own collection
+    legacy: {
+      type: Boolean,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // what was bought, copied from the order line
+    variant: {
+      type: Object,
+    },
+    // null once the reviewer deleted their account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    author: {
+      name: {
+        type: String,
+      },
+      avatar: {
+        type: String,
+      },
+    },
+    rating: {
+      type: Number,
+      required: [true, "Please give a rating!"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be between 1 and 5",
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: [2000, "Review can not be longer than 2000 characters"],
+    },
+    images: [
+      {
+        public_id: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    reply: {
+      comment: {
+        type: String,
+      },
+      // owner or staff member who answered
+      repliedBy: {
+        type: Object,
+      },
+      repliedAt: {
+        type: Date,
+      },
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    helpfulVoters: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// one review per order line
+reviewSchema.index(
+  { order: 1, product: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { order: { $exists: true } } }
+);
+reviewSchema.index({ product: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, helpfulCount: -1 });
+reviewSchema.index({ user: 1 });
+
+module.exports = mongoose.model("Review", reviewSchema);
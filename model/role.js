@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS, SUPER_ROLE } = require("../utils/permissions");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please enter the role name!"],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: {
+          values: PERMISSIONS,
+          message: "{VALUE} is not a valid permission",
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// permissions granted to a user with this role name
+roleSchema.statics.getPermissions = async function (name) {
+  if (name === SUPER_ROLE) {
+    return PERMISSIONS;
+  }
+
+  const role = await this.findOne({ name });
+
+  return role ? role.permissions : [];
+};
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "ownerModel",
+    },
+    ownerModel: {
+      type: String,
+      required: true,
+      enum: ["User", "Shop"],
+    },
+    // set when a shop staff member is logged in instead of the owner
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShopMember",
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // hash of the refresh token that was rotated out, used to detect reuse
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    device: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ owner: 1, ownerModel: 1 });
+
+// expired sessions are removed by mongodb
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
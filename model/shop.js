@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { ACCESS_TOKEN_MINUTES } = require("../utils/session");
 
 const shopSchema = new mongoose.Schema({
   name: {
@@ -53,6 +55,12 @@ const shopSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // low stock alert level for products that don't set their own
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: [0, "Low stock threshold can not be negative"],
+  },
   transections: [
     {
       amount: {
@@ -72,29 +80,103 @@ const shopSchema = new mongoose.Schema({
       },
     },
   ],
+  // staff can only login once they have two-factor authentication set up
+  requireStaffTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now(),
   },
-  resetPasswordToken: String,
-  resetPasswordTime: Date,
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordTime: {
+    type: Date,
+    select: false,
+  },
+  // new email waiting for confirmation, email only changes once it is confirmed
+  pendingEmail: {
+    type: String,
+    select: false,
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false,
+  },
 });
 
 // Hash password
 shopSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) {
-    next();
+  // pending registrations hand over a password that is already hashed
+  if (!this.isModified("password") || this.$locals.passwordHashed) {
+    return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
 });
 
 // jwt token
-shopSchema.methods.getJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET_KEY, {
-    expiresIn: process.env.JWT_EXPIRES,
+shopSchema.methods.getJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET_KEY, {
+    expiresIn: `${ACCESS_TOKEN_MINUTES}m`,
   });
 };
 
+// single use password reset token, only its hash is stored
+shopSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.resetPasswordTime = Date.now() + 15 * 60 * 1000;
+
+  return resetToken;
+};
+
+// single use email change token, only its hash is stored
+shopSchema.methods.getEmailChangeToken = function (newEmail) {
+  const changeToken = crypto.randomBytes(32).toString("hex");
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto
+    .createHash("sha256")
+    .update(changeToken)
+    .digest("hex");
+  this.emailChangeExpires = Date.now() + 60 * 60 * 1000;
+
+  return changeToken;
+};
+
 // comapre password
 shopSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
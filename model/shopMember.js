@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { SHOP_ROLE_NAMES } = require("../utils/shopRoles");
+
+const shopMemberSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+      required: true,
+    },
+    name: {
+      type: String,
+    },
+    // a person can only be staff of one shop, so login stays email + password
+    email: {
+      type: String,
+      required: [true, "Please enter the member email address"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    password: {
+      type: String,
+      minLength: [6, "Password should be greater than 6 characters"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: SHOP_ROLE_NAMES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["invited", "active"],
+      default: "invited",
+    },
+    inviteToken: {
+      type: String,
+      select: false,
+    },
+    inviteExpires: {
+      type: Date,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// Hash password
+shopMemberSchema.pre("save", async function (next) {
+  if (!this.isModified("password") || !this.password) {
+    return next();
+  }
+  this.password = await bcrypt.hash(this.password, 10);
+});
+
+// never send the password or invite token back
+shopMemberSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.inviteToken;
+    return ret;
+  },
+});
+
+// compare password
+shopMemberSchema.methods.comparePassword = async function (enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+module.exports = mongoose.model("ShopMember", shopMemberSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// shown on the seller dashboard while a product, or one of its variants, is
+// at or below its low-stock threshold
+const stockAlertSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    name: {
+      type: String,
+    },
+    stock: {
+      type: Number,
+    },
+    threshold: {
+      type: Number,
+    },
+    // resolved once the stock is back above the threshold
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    readAt: {
+      type: Date,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+stockAlertSchema.index({ shop: 1, status: 1, createdAt: -1 });
+
+// one open alert per product or variant at a time
+stockAlertSchema.index(
+  { product: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("StockAlert", stockAlertSchema);
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { ACCESS_TOKEN_MINUTES } = require("../utils/session");
 
 const userSchema = new mongoose.Schema({
   name:{
@@ -40,6 +42,10 @@ const userSchema = new mongoose.Schema({
       addressType:{
         type: String,
       },
+      isDefault:{
+        type: Boolean,
+        default: false,
+      },
     }
   ],
   role:{
@@ -56,31 +62,114 @@ const userSchema = new mongoose.Schema({
       required: true,
     },
  },
+ twoFactor:{
+  enabled:{
+    type: Boolean,
+    default: false,
+  },
+  secret:{
+    type: String,
+    select: false,
+  },
+  pendingSecret:{
+    type: String,
+    select: false,
+  },
+  recoveryCodes:{
+    type: [String],
+    select: false,
+  },
+  lastUsedStep:{
+    type: Number,
+    select: false,
+  },
+ },
  createdAt:{
   type: Date,
   default: Date.now(),
  },
- resetPasswordToken: String,
- resetPasswordTime: Date,
+ resetPasswordToken:{
+  type: String,
+  select: false,
+ },
+ resetPasswordTime:{
+  type: Date,
+  select: false,
+ },
+ // new email waiting for confirmation, email only changes once it is confirmed
+ pendingEmail:{
+  type: String,
+  select: false,
+ },
+ emailChangeToken:{
+  type: String,
+  select: false,
+ },
+ emailChangeExpires:{
+  type: Date,
+  select: false,
+ },
+ // set when the user asked to delete their account, cleared if they cancel
+ deletionScheduledAt:{
+  type: Date,
+  select: false,
+ },
+ wishlist:[
+  {
+    product:{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    addedAt:{
+      type: Date,
+      default: Date.now,
+    },
+    // price and stock the user last heard of, to email them when it changes
+    price:{
+      type: Number,
+    },
+    inStock:{
+      type: Boolean,
+    },
+  }
+ ],
 });
 
+userSchema.index({ "wishlist.product": 1 });
+
 
 //  Hash password
 userSchema.pre("save", async function (next){
-  if(!this.isModified("password")){
-    next();
+  // pending registrations hand over a password that is already hashed
+  if(!this.isModified("password") || this.$locals.passwordHashed){
+    return next();
   }
 
   this.password = await bcrypt.hash(this.password, 10);
 });
 
 // jwt token
-userSchema.methods.getJwtToken = function () {
-  return jwt.sign({ id: this._id}, process.env.JWT_SECRET_KEY,{
-    expiresIn: process.env.JWT_EXPIRES,
+userSchema.methods.getJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET_KEY,{
+    expiresIn: `${ACCESS_TOKEN_MINUTES}m`,
   });
 };
 
+// single use email change token, only its hash is stored
+userSchema.methods.getEmailChangeToken = function (newEmail) {
+  const changeToken = crypto.randomBytes(32).toString("hex");
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto
+    .createHash("sha256")
+    .update(changeToken)
+    .digest("hex");
+  this.emailChangeExpires = Date.now() + 60 * 60 * 1000;
+
+  return changeToken;
+};
+
 // compare password
 userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const VIEW_EVENT_DAYS = Number(process.env.VIEW_EVENT_DAYS) || 30;
+
+// one view of a product or shop page per browsing session, raw events expire
+// and only their hourly counts in ViewStat are kept
+const viewEventSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ["product", "shop"],
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // the login session, or the id in the view cookie when logged out
+  session: {
+    type: String,
+    required: true,
+  },
+  // hash of the address of a logged out viewer, to cap their views
+  ip: {
+    type: String,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: VIEW_EVENT_DAYS * 24 * 60 * 60,
+  },
+});
+
+viewEventSchema.index(
+  { session: 1, targetType: 1, targetId: 1 },
+  { unique: true }
+);
+viewEventSchema.index({ user: 1, targetType: 1, lastViewedAt: -1 });
+viewEventSchema.index(
+  { ip: 1, createdAt: -1 },
+  { partialFilterExpression: { ip: { $exists: true } } }
+);
+
+module.exports = mongoose.model("ViewEvent", viewEventSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const VIEW_STAT_DAYS = Number(process.env.VIEW_STAT_DAYS) || 90;
+
+// views of a product or shop page in one hour
+const viewStatSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ["product", "shop"],
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // category of the product when it was viewed
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  // start of the hour
+  bucket: {
+    type: Date,
+    required: true,
+    expires: VIEW_STAT_DAYS * 24 * 60 * 60,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+viewStatSchema.index(
+  { targetType: 1, targetId: 1, bucket: 1 },
+  { unique: true }
+);
+viewStatSchema.index({ targetType: 1, category: 1, bucket: -1 });
+
+module.exports = mongoose.model("ViewStat", viewStatSchema);
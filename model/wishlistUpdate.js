@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// a product whose price or stock changed, waiting for the cron to tell the
+// users who wishlisted it
+const wishlistUpdateSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+    unique: true,
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("WishlistUpdate", wishlistUpdateSchema);
@@ -13,6 +13,10 @@ const withdrawSchema = new mongoose.Schema({
     type: String,
     default: "Processing",
   },
+  // owner or staff member who asked for the withdrawal
+  requestedBy: {
+    type: Object,
+  },
   createdAt: {
     type: Date,
     default: Date.now(),
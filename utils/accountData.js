@@ -0,0 +1,186 @@
+const cloudinary = require("cloudinary");
+const User = require("../model/user");
+const Order = require("../model/order");
+const Product = require("../model/product");
+const Conversation = require("../model/conversation");
+const Messages = require("../model/messages");
+const Session = require("../model/session");
+const Review = require("../model/review");
+const Question = require("../model/question");
+const Answer = require("../model/answer");
+const Cart = require("../model/cart");
+const ViewEvent = require("../model/viewEvent");
+
+const DELETION_GRACE_DAYS = 14;
+
+// embedded copies of the user are stored from client json, so the id can be
+// either a string or an ObjectId
+const idVariants = (user) => [user._id, user._id.toString()];
+
+const ANONYMOUS_USER = {
+  name: "Deleted user",
+  deleted: true,
+};
+
+// everything we store about a user, as one json document
+const buildUserDataExport = async (user) => {
+  const ids = idVariants(user);
+
+  const orders = await Order.find({ "user._id": { $in: ids } }).sort({
+    createdAt: -1,
+  });
+
+  const reviews = (
+    await Review.find({ user: user._id })
+      .populate("product", "name")
+      .sort({ createdAt: -1 })
+  ).map((review) => ({
+    product: review.product,
+    order: review.order,
+    rating: review.rating,
+    comment: review.comment,
+    images: review.images,
+    createdAt: review.createdAt,
+  }));
+
+  // reviews from before the Review collection
+  const products = await Product.find({ "reviews.user._id": { $in: ids } });
+  products.forEach((product) => {
+    product.reviews.forEach((review) => {
+      if (review.user && ids.some((id) => String(id) === String(review.user._id))) {
+        reviews.push({
+          product: { _id: product._id, name: product.name },
+          rating: review.rating,
+          comment: review.comment,
+          createdAt: review.createdAt,
+        });
+      }
+    });
+  });
+
+  const questions = (
+    await Question.find({ user: user._id })
+      .populate("product", "name")
+      .sort({ createdAt: -1 })
+  ).map((question) => ({
+    product: question.product,
+    body: question.body,
+    createdAt: question.createdAt,
+  }));
+
+  const answers = (
+    await Answer.find({ user: user._id })
+      .populate("product", "name")
+      .sort({ createdAt: -1 })
+  ).map((answer) => ({
+    product: answer.product,
+    question: answer.question,
+    body: answer.body,
+    createdAt: answer.createdAt,
+  }));
+
+  const views = await ViewEvent.find({ user: user._id })
+    .select("targetType targetId lastViewedAt -_id")
+    .sort({ lastViewedAt: -1 });
+
+  const conversations = await Conversation.find({
+    members: { $in: ids },
+  });
+  const messages = await Messages.find({
+    conversationId: { $in: conversations.map((item) => item._id.toString()) },
+  }).sort({ createdAt: 1 });
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      avatar: user.avatar,
+      role: user.role,
+      createdAt: user.createdAt,
+    },
+    addresses: user.addresses,
+    wishlist: user.wishlist,
+    orders,
+    reviews,
+    questions,
+    answers,
+    views,
+    conversations,
+    messages,
+  };
+};
+
+// remove the user but keep orders, reviews and answers other people rely on
+const anonymizeAndDeleteUser = async (user) => {
+  const ids = idVariants(user);
+
+  const orders = await Order.find({ "user._id": { $in: ids } });
+  for (const order of orders) {
+    const { country, city, zipCode } = order.shippingAddress || {};
+    order.user = ANONYMOUS_USER;
+    order.shippingAddress = { country, city, zipCode };
+    await order.save({ validateBeforeSave: false });
+  }
+
+  await Review.updateMany(
+    { user: user._id },
+    { $set: { user: null, author: { name: ANONYMOUS_USER.name } } }
+  );
+  await Review.updateMany(
+    { helpfulVoters: user._id },
+    { $pull: { helpfulVoters: user._id } }
+  );
+
+  await Question.updateMany(
+    { user: user._id },
+    { $set: { user: null, author: { name: ANONYMOUS_USER.name } } }
+  );
+  await Answer.updateMany(
+    { user: user._id },
+    { $set: { user: null, author: { name: ANONYMOUS_USER.name } } }
+  );
+  await Answer.updateMany(
+    { upvoters: user._id },
+    { $pull: { upvoters: user._id }, $inc: { upvoteCount: -1 } }
+  );
+
+  await Product.updateMany(
+    { "reviews.user._id": { $in: ids } },
+    { $set: { "reviews.$[review].user": ANONYMOUS_USER } },
+    { arrayFilters: [{ "review.user._id": { $in: ids } }] }
+  );
+
+  await Messages.deleteMany({ sender: { $in: ids } });
+
+  await Session.deleteMany({ owner: user._id, ownerModel: "User" });
+
+  await Cart.deleteOne({ user: user._id });
+  await ViewEvent.deleteMany({ user: user._id });
+
+  if (user.avatar && user.avatar.public_id) {
+    await cloudinary.v2.uploader.destroy(user.avatar.public_id);
+  }
+
+  await User.findByIdAndDelete(user._id);
+};
+
+// delete every account whose grace period is over, returns how many
+const purgeScheduledDeletions = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: Date.now() } });
+
+  for (const user of users) {
+    await anonymizeAndDeleteUser(user);
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildUserDataExport,
+  anonymizeAndDeleteUser,
+  purgeScheduledDeletions,
+};
@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const { hashToken } = require("./session");
+
+const KEY_PREFIX = "gl_";
+
+// returns the full key, which is only shown once, plus what gets stored
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// the key from an "Authorization: Bearer gl_..." header, or null
+const apiKeyFromRequest = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, key] = header.split(" ");
+
+  if (scheme !== "Bearer" || !key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  return key;
+};
+
+module.exports = { generateApiKey, apiKeyFromRequest };
@@ -0,0 +1,52 @@
+const AuditLog = require("../model/auditLog");
+const { getClientIp } = require("./session");
+const { sellerActor } = require("./shopRoles");
+
+// never copied into a snapshot
+const SECRET_FIELDS = [
+  "password",
+  "twoFactor",
+  "resetPasswordToken",
+  "resetPasswordTime",
+  "emailChangeToken",
+  "inviteToken",
+];
+
+const snapshot = (doc) => {
+  if (!doc) {
+    return undefined;
+  }
+  const data = typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  SECRET_FIELDS.forEach((field) => {
+    delete data[field];
+  });
+  return data;
+};
+
+// admins act as users, sellers as their shop owner, a staff member or an api key
+const actorFromRequest = (req) => {
+  if (req.seller) {
+    return { ...sellerActor(req), shop: req.seller._id };
+  }
+
+  return {
+    kind: "admin",
+    id: req.user._id,
+    name: req.user.name,
+    email: req.user.email,
+    role: req.user.role,
+  };
+};
+
+const recordAudit = (req, { action, targetType, targetId, before, after }) =>
+  AuditLog.create({
+    actor: actorFromRequest(req),
+    action,
+    target: { type: targetType, id: targetId },
+    before: snapshot(before),
+    after: snapshot(after),
+    ip: getClientIp(req),
+    userAgent: req.headers["user-agent"],
+  });
+
+module.exports = recordAudit;
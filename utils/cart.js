@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const Product = require("../model/product");
+const Event = require("../model/event");
+const ErrorHandler = require("./ErrorHandler");
+
+const isEventRunning = (event, now = Date.now()) =>
+  event.status === "Running" &&
+  event.start_Date <= now &&
+  event.Finish_Date >= now;
+
+// the product or event a cart line is for, null when it is gone
+const findSellable = async (productId) =>
+  (await Product.findById(productId)) || (await Event.findById(productId));
+
+const modelNameOf = (doc) => (doc instanceof Event ? "Event" : "Product");
+
+// what a cart line sells right now: its price, stock and the reason it can't
+// be bought, if any
+const unitOf = (doc, variantId) => {
+  if (!doc) {
+    return { reason: "This item is no longer available" };
+  }
+
+  const unit = {
+    name: doc.name,
+    shopId: doc.shopId,
+    image: doc.images.length ? doc.images[0].url : undefined,
+    originalPrice: doc.originalPrice,
+    price: doc.discountPrice,
+    stock: doc.stock,
+  };
+
+  if (doc instanceof Event) {
+    if (!isEventRunning(doc)) {
+      unit.reason = `The event for ${doc.name} is not running`;
+    }
+  } else if (doc.variants.length) {
+    const variant = doc.getVariant(variantId);
+
+    if (!variant) {
+      return { ...unit, reason: `The selected option of ${doc.name} is no longer available` };
+    }
+
+    unit.variant = { sku: variant.sku, options: variant.options };
+    unit.originalPrice = variant.originalPrice;
+    unit.price = variant.price;
+    unit.stock = variant.stock;
+    if (variant.images.length) {
+      unit.image = variant.images[0].url;
+    }
+  } else if (variantId) {
+    unit.reason = `The selected option of ${doc.name} is no longer available`;
+  }
+
+  if (!unit.reason && unit.stock <= 0) {
+    unit.reason = `${doc.name} is out of stock`;
+  }
+
+  return unit;
+};
+
+// check a quantity can be put in the cart, returns what it is for
+const checkQuantity = async (productId, variantId, qty) => {
+  if (!Number.isInteger(qty) || qty < 1) {
+    throw new ErrorHandler("Please enter a valid quantity", 400);
+  }
+
+  const doc = mongoose.isValidObjectId(productId)
+    ? await findSellable(productId)
+    : null;
+
+  if (!doc) {
+    throw new ErrorHandler("Product is not found with this id", 404);
+  }
+
+  if (!(doc instanceof Event) && doc.variants.length && !variantId) {
+    throw new ErrorHandler(`Please select an option for ${doc.name}`, 400);
+  }
+
+  const unit = unitOf(doc, variantId);
+
+  if (unit.reason) {
+    throw new ErrorHandler(unit.reason, 400);
+  }
+
+  if (qty > unit.stock) {
+    throw new ErrorHandler(`Only ${unit.stock} left of ${unit.name}`, 400);
+  }
+
+  return { model: modelNameOf(doc), unit };
+};
+
+const isSameLine = (item, productId, variantId) =>
+  String(item.product) === String(productId) &&
+  String(item.variantId || "") === String(variantId || "");
+
+// compare every line with the current product, event and variant. Lines
+// whose price changed since the buyer last saw it, that no longer have enough
+// stock or can't be bought anymore are flagged in `changes`. The new prices
+// are kept on the cart as seen, save it to stop flagging them.
+const revalidateCart = async (cart) => {
+  const ids = cart.items.map((item) => item.product);
+  const [products, events] = await Promise.all([
+    Product.find({ _id: { $in: ids } }),
+    Event.find({ _id: { $in: ids } }),
+  ]);
+  const byId = new Map(
+    [...products, ...events].map((doc) => [doc._id.toString(), doc])
+  );
+
+  let subtotal = 0;
+
+  const items = cart.items.map((item) => {
+    const doc = byId.get(item.product.toString());
+    const { reason, ...unit } = unitOf(doc, item.variantId);
+    const changes = [];
+
+    if (doc) {
+      item.model = modelNameOf(doc);
+    }
+
+    if (reason) {
+      changes.push({ type: "unavailable", message: reason });
+    } else {
+      if (item.price !== undefined && item.price !== unit.price) {
+        changes.push({ type: "price", from: item.price, to: unit.price });
+      }
+      if (item.qty > unit.stock) {
+        changes.push({ type: "stock", available: unit.stock });
+      }
+
+      item.price = unit.price;
+      subtotal += unit.price * item.qty;
+    }
+
+    return {
+      _id: item._id,
+      productId: item.product,
+      model: item.model,
+      variantId: item.variantId,
+      qty: item.qty,
+      ...unit,
+      available: !reason,
+      changes,
+    };
+  });
+
+  return {
+    items,
+    subtotal,
+    changed: items.some((item) => item.changes.length),
+  };
+};
+
+// the order lines of a revalidated cart, the way orders store them
+const orderItemsOf = (items) =>
+  items.map((item) => ({
+    _id: item.productId.toString(),
+    ...(item.model === "Event" && { model: "Event" }),
+    ...(item.variantId && { variantId: item.variantId }),
+    name: item.name,
+    shopId: item.shopId,
+    qty: item.qty,
+    originalPrice: item.originalPrice,
+    discountPrice: item.price,
+    images: item.image ? [{ url: item.image }] : [],
+  }));
+
+module.exports = {
+  checkQuantity,
+  isSameLine,
+  revalidateCart,
+  orderItemsOf,
+};
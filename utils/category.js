@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const Category = require("../model/category");
+const ErrorHandler = require("./ErrorHandler");
+
+const slugify = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// categories given by id or slug, unknown ones are left out
+const findCategories = (values) => {
+  const ids = values.filter((value) => mongoose.isValidObjectId(value));
+
+  return Category.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: values.map(slugify) } }],
+  });
+};
+
+// the category a product or event is put in, by id or slug
+const resolveCategory = async (value) => {
+  const [category] = value ? await findCategories([String(value)]) : [];
+
+  if (!category) {
+    throw new ErrorHandler("Please select a valid category!", 400);
+  }
+
+  return category;
+};
+
+// the categories and every category below them
+const withDescendants = async (categories) => {
+  const ids = categories.map((category) => category._id);
+  const descendants = await Category.find({ ancestors: { $in: ids } }).select(
+    "_id"
+  );
+
+  return [...ids, ...descendants.map((category) => category._id)];
+};
+
+// nest the categories under their parents; productCount is the category's
+// own products and totalCount also counts the products of its descendants
+const buildCategoryTree = (categories, counts) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        icon: category.icon,
+        sortOrder: category.sortOrder,
+        productCount: counts.get(category._id.toString()) || 0,
+        totalCount: 0,
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+
+  for (const category of categories) {
+    const node = nodes.get(category._id.toString());
+    const parent = category.parent && nodes.get(category.parent.toString());
+
+    (parent ? parent.children : roots).push(node);
+
+    for (const ancestor of [...category.ancestors, category._id]) {
+      const ancestorNode = nodes.get(ancestor.toString());
+      if (ancestorNode) ancestorNode.totalCount += node.productCount;
+    }
+  }
+
+  return roots;
+};
+
+module.exports = {
+  slugify,
+  findCategories,
+  resolveCategory,
+  withDescendants,
+  buildCategoryTree,
+};
@@ -0,0 +1,78 @@
+// minimal RFC 4180 csv reading and writing
+
+// returns the rows as arrays of strings, quoted fields may hold commas,
+// quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  let field = String(value);
+
+  if (typeof value === "string" && FORMULA_START.test(field)) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+};
+
+const stringifyCsv = (rows) =>
+  rows.map((row) => row.map(formatField).join(",")).join("\r\n") + "\r\n";
+
+// undo the formula escaping of stringifyCsv
+const unescapeField = (field) =>
+  /^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field;
+
+module.exports = { parseCsv, stringifyCsv, unescapeField };
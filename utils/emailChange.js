@@ -0,0 +1,20 @@
+const sendMail = require("./sendMail");
+
+// confirmation link goes to the new address, a heads up to the current one
+const sendEmailChangeMails = async (account, changeToken, confirmPath) => {
+  const confirmUrl = `${process.env.FRONTEND_URL}/${confirmPath}/${changeToken}`;
+
+  await sendMail({
+    email: account.pendingEmail,
+    subject: "Confirm your new email address",
+    message: `Hello ${account.name},\n\nPlease click the link below to confirm ${account.pendingEmail} as the new email address of your Guriraline account:\n\n${confirmUrl}\n\nThis link expires in 1 hour.`,
+  });
+
+  await sendMail({
+    email: account.email,
+    subject: "Your email address is being changed",
+    message: `Hello ${account.name},\n\nSomeone asked to change the email address of your Guriraline account to ${account.pendingEmail}. The change only happens once the new address is confirmed.\n\nIf this wasn't you, please change your password right away.`,
+  });
+};
+
+module.exports = sendEmailChangeMails;
@@ -1,19 +1,24 @@
-// create token and saving that in cookies
-const sendToken = (user, statusCode, res) => {
-  const token = user.getJwtToken();
+const {
+  createSession,
+  accessCookieOptions,
+  refreshCookieOptions,
+} = require("./session");
 
-  const options = {
-    expires: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-    sameSite: "none",
-    secure: true,
-  };
+// create a session and save its access and refresh tokens in cookies
+const sendToken = async (user, statusCode, res) => {
+  const { session, refreshToken } = await createSession(user, "User", res.req);
 
-  res.status(statusCode).cookie("token", token, options).json({
-    success: true,
-    user,
-    token,
-  });
+  const token = user.getJwtToken(session._id);
+
+  res
+    .status(statusCode)
+    .cookie("token", token, accessCookieOptions())
+    .cookie("refresh_token", refreshToken, refreshCookieOptions("/api/v2/user"))
+    .json({
+      success: true,
+      user,
+      token,
+    });
 };
 
 module.exports = sendToken;
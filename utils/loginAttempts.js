@@ -0,0 +1,126 @@
+const bcrypt = require("bcryptjs");
+const LoginAttempt = require("../model/loginAttempt");
+const sendMail = require("./sendMail");
+
+// free attempts before delays start, and failures before a lockout
+const LIMITS = {
+  account: { freeAttempts: 3, lockAfter: 10 },
+  ip: { freeAttempts: 10, lockAfter: 100 },
+};
+const MAX_DELAY_SECONDS = 60;
+const LOCK_MINUTES = 15;
+const FORGET_AFTER_HOURS = 24;
+
+// compared against when there is no account, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("guriraline-dummy-password", 10);
+
+// the account counter is kept per address too, so failures sent from
+// somewhere else can't lock the owner out of their account
+const attemptKeys = (scope, ip, identifier) => {
+  const keys = [`${scope}:ip:${ip}`];
+  if (identifier) {
+    keys.push(
+      `${scope}:account:${String(identifier).trim().toLowerCase()}:${ip}`
+    );
+  }
+  return keys;
+};
+
+const keyType = (key) => (key.includes(":account:") ? "account" : "ip");
+
+// seconds until any of the keys may try again, 0 when allowed
+const getRetryAfter = async (keys) => {
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+  const now = Date.now();
+
+  let waitUntil = now;
+  for (const attempt of attempts) {
+    for (const date of [attempt.lockedUntil, attempt.nextAttemptAt]) {
+      if (date && date.getTime() > waitUntil) {
+        waitUntil = date.getTime();
+      }
+    }
+  }
+
+  return Math.ceil((waitUntil - now) / 1000);
+};
+
+// count a failure on every key, returns true if the account key just got locked
+const recordFailure = async (keys) => {
+  let accountLocked = false;
+
+  for (const key of keys) {
+    const { freeAttempts, lockAfter } = LIMITS[keyType(key)];
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          expiresAt: new Date(Date.now() + FORGET_AFTER_HOURS * 60 * 60 * 1000),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    const update = {};
+
+    if (attempt.failures >= lockAfter) {
+      // start counting again once the lock is over
+      update.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+      update.failures = 0;
+      update.nextAttemptAt = null;
+      if (keyType(key) === "account") {
+        accountLocked = true;
+      }
+    } else if (attempt.failures > freeAttempts) {
+      const delay = Math.min(
+        2 ** (attempt.failures - freeAttempts - 1),
+        MAX_DELAY_SECONDS
+      );
+      update.nextAttemptAt = new Date(Date.now() + delay * 1000);
+    }
+
+    if (Object.keys(update).length) {
+      await LoginAttempt.updateOne({ _id: attempt._id }, update);
+    }
+  }
+
+  return accountLocked;
+};
+
+// a successful login only clears the account counter, never the ip one
+const clearFailures = async (keys) => {
+  await LoginAttempt.deleteMany({
+    key: { $in: keys.filter((key) => keyType(key) === "account") },
+  });
+};
+
+const checkPassword = async (account, password) => {
+  if (!account) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    return false;
+  }
+  return account.comparePassword(password);
+};
+
+const sendLockoutMail = async (account) => {
+  try {
+    await sendMail({
+      email: account.email,
+      subject: "Several failed login attempts on your account",
+      message: `Hello ${account.name},\n\nWe noticed several failed login attempts on your account, so we blocked login from the device that made them for ${LOCK_MINUTES} minutes to keep it safe.\n\nIf this wasn't you, we recommend changing your password.`,
+    });
+  } catch (error) {
+    // the lock applies either way, the mail is only a heads up
+  }
+};
+
+module.exports = {
+  attemptKeys,
+  getRetryAfter,
+  recordFailure,
+  clearFailures,
+  checkPassword,
+  sendLockoutMail,
+};
@@ -0,0 +1,160 @@
+const Product = require("../model/product");
+const Shop = require("../model/shop");
+const Order = require("../model/order");
+const StockAlert = require("../model/stockAlert");
+const sendMail = require("./sendMail");
+
+const DEFAULT_THRESHOLD = 5;
+
+const thresholdFor = (product, shop) => {
+  if (product.lowStockThreshold !== undefined && product.lowStockThreshold !== null) {
+    return product.lowStockThreshold;
+  }
+  if (shop && shop.lowStockThreshold !== undefined && shop.lowStockThreshold !== null) {
+    return shop.lowStockThreshold;
+  }
+  return DEFAULT_THRESHOLD;
+};
+
+// what is counted on its own: each variant, or the product itself
+const stockUnits = (product) =>
+  product.variants.length
+    ? product.variants.map((variant) => ({
+        variantId: variant._id,
+        name: `${product.name} (${Object.values(variant.options).join(" / ")})`,
+        sku: variant.sku,
+        stock: variant.stock,
+      }))
+    : [{ variantId: null, name: product.name, sku: product.sku, stock: product.stock }];
+
+const sendLowStockMail = async (shop, alert) => {
+  try {
+    await sendMail({
+      email: shop.email,
+      subject: `Low stock: ${alert.name}`,
+      message: `Hello ${shop.name}, ${alert.name} is running low with ${alert.stock} left (your alert is set at ${alert.threshold}). Restock it soon so buyers can keep ordering.`,
+    });
+  } catch (error) {
+    // the alert still shows on the seller dashboard
+  }
+};
+
+// open an alert, and email the shop, for every unit of the products that is
+// at or below its threshold, and resolve alerts of units that were restocked
+const checkLowStock = async (productIds) => {
+  const ids = [...new Set(productIds.map(String))];
+  const products = await Product.find({ _id: { $in: ids } }).select(
+    "name sku stock variants lowStockThreshold shopId"
+  );
+
+  for (const product of products) {
+    const shop = await Shop.findById(product.shopId);
+
+    if (!shop) continue;
+
+    const threshold = thresholdFor(product, shop);
+
+    for (const unit of stockUnits(product)) {
+      const filter = {
+        product: product._id,
+        variantId: unit.variantId,
+        status: "open",
+      };
+
+      if (unit.stock > threshold) {
+        await StockAlert.updateMany(filter, {
+          status: "resolved",
+          resolvedAt: Date.now(),
+        });
+        continue;
+      }
+
+      const values = { name: unit.name, stock: unit.stock, threshold };
+
+      try {
+        const existing = await StockAlert.findOneAndUpdate(
+          filter,
+          { $set: values, $setOnInsert: { shop: shop._id } },
+          { upsert: true }
+        );
+
+        if (!existing) {
+          await sendLowStockMail(shop, values);
+        }
+      } catch (error) {
+        // another request opened the same alert at the same time
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+};
+
+// products of a shop at or below their threshold, with how fast they sold
+// over the last `days` days and how many days the stock is likely to last
+const getLowStockProducts = async (shop, days) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const shopId = shop._id.toString();
+
+  const [products, sales] = await Promise.all([
+    Product.find({ shopId }).select(
+      "name sku stock variants lowStockThreshold images"
+    ),
+    Order.aggregate([
+      {
+        $match: {
+          "cart.shopId": shopId,
+          createdAt: { $gte: since },
+          status: { $nin: ["Cancelled", "Refund Success"] },
+        },
+      },
+      { $unwind: "$cart" },
+      { $match: { "cart.shopId": shopId } },
+      {
+        $group: {
+          _id: { product: "$cart._id", variant: "$cart.variantId" },
+          sold: { $sum: "$cart.qty" },
+        },
+      },
+    ]),
+  ]);
+
+  const soldByUnit = new Map(
+    sales.map((sale) => [
+      `${sale._id.product}:${sale._id.variant || ""}`,
+      sale.sold,
+    ])
+  );
+
+  const lowStock = [];
+
+  for (const product of products) {
+    const threshold = thresholdFor(product, shop);
+
+    for (const unit of stockUnits(product)) {
+      if (unit.stock > threshold) continue;
+
+      const sold = soldByUnit.get(`${product._id}:${unit.variantId || ""}`) || 0;
+      const perDay = sold / days;
+
+      lowStock.push({
+        productId: product._id,
+        ...unit,
+        image: product.images.length ? product.images[0].url : undefined,
+        threshold,
+        soldLastDays: sold,
+        salesPerDay: Math.round(perDay * 100) / 100,
+        daysUntilStockout:
+          perDay > 0 ? Math.round((unit.stock / perDay) * 10) / 10 : null,
+      });
+    }
+  }
+
+  // the ones that will run out first on top, unsold ones last
+  return lowStock.sort(
+    (a, b) =>
+      (a.daysUntilStockout === null ? Infinity : a.daysUntilStockout) -
+      (b.daysUntilStockout === null ? Infinity : b.daysUntilStockout)
+  );
+};
+
+module.exports = { DEFAULT_THRESHOLD, checkLowStock, getLowStockProducts };
@@ -0,0 +1,42 @@
+const Order = require("../model/order");
+const ErrorHandler = require("./ErrorHandler");
+
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+// the payment info an order is saved with. Only a Stripe payment intent that
+// was paid in full, and not used by another checkout, marks it as paid;
+// whatever status the browser sends is ignored.
+const verifyPaymentInfo = async (paymentInfo, amount) => {
+  const { id, type } = paymentInfo || {};
+  const verified = { type: typeof type === "string" ? type : undefined };
+
+  if (!id) {
+    return verified;
+  }
+
+  if (typeof id !== "string") {
+    throw new ErrorHandler("Invalid payment id", 400);
+  }
+
+  if (await Order.exists({ "paymentInfo.id": id })) {
+    throw new ErrorHandler("This payment was already used for another order", 400);
+  }
+
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.retrieve(id);
+  } catch (error) {
+    throw new ErrorHandler("Payment not found", 400);
+  }
+
+  if (
+    intent.status !== "succeeded" ||
+    intent.amount_received < Math.round(amount * 100)
+  ) {
+    throw new ErrorHandler("The payment was not completed", 400);
+  }
+
+  return { ...verified, id, status: "succeeded" };
+};
+
+module.exports = { verifyPaymentInfo };
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const cloudinary = require("cloudinary");
+const PendingRegistration = require("../model/pendingRegistration");
+const ErrorHandler = require("./ErrorHandler");
+const sendMail = require("./sendMail");
+
+const ACTIVATION_HOURS = 24;
+const MAX_ATTEMPTS = 5;
+const MAX_RESENDS = 5;
+const RESEND_INTERVAL = 60 * 1000;
+
+// no 0/O or 1/I so the code is easy to read from an email
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+const generateActivationCode = () => {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code.toUpperCase()).digest("hex");
+
+const activationExpiry = () =>
+  new Date(Date.now() + ACTIVATION_HOURS * 60 * 60 * 1000);
+
+const destroyAvatar = async (avatar) => {
+  if (avatar && avatar.public_id) {
+    await cloudinary.v2.uploader.destroy(avatar.public_id);
+  }
+};
+
+// store a sign up, replacing an earlier one for the same email so only the
+// latest password and code can activate it; returns the registration and the
+// token for the activation link
+const createPendingRegistration = async ({
+  accountType,
+  email,
+  name,
+  password,
+  avatar,
+  details,
+}) => {
+  if (typeof avatar !== "string") {
+    throw new ErrorHandler("Please provide an avatar", 400);
+  }
+
+  const code = generateActivationCode();
+
+  let pending = await PendingRegistration.findOne({ accountType, email });
+  if (pending) {
+    await destroyAvatar(pending.avatar);
+    pending.avatar = undefined;
+    pending.attempts = 0;
+    pending.lastSentAt = Date.now();
+  } else {
+    pending = new PendingRegistration({ accountType, email });
+  }
+
+  pending.set({
+    name,
+    passwordHash: await bcrypt.hash(password, 10),
+    avatarData: avatar,
+    details,
+    activationCodeHash: hashCode(code),
+    expiresAt: activationExpiry(),
+  });
+
+  await pending.save();
+
+  return { pending, activationToken: `${pending._id}.${code}` };
+};
+
+// issue a fresh code for an existing sign up, null if it can't be resent yet
+const renewActivationCode = async (pending) => {
+  if (
+    pending.resendCount >= MAX_RESENDS ||
+    Date.now() - pending.lastSentAt.getTime() < RESEND_INTERVAL
+  ) {
+    return null;
+  }
+
+  const code = generateActivationCode();
+
+  pending.activationCodeHash = hashCode(code);
+  pending.attempts = 0;
+  pending.resendCount += 1;
+  pending.lastSentAt = Date.now();
+  pending.expiresAt = activationExpiry();
+
+  await pending.save();
+
+  return `${pending._id}.${code}`;
+};
+
+// look up the sign up for an activation token, null if it is wrong or expired;
+// a registration only gets a few guesses before it has to be resent
+const verifyActivationToken = async (activationToken, accountType) => {
+  const [id, code] = String(activationToken || "").split(".");
+
+  if (!id || !code || !/^[a-f\d]{24}$/i.test(id)) {
+    return null;
+  }
+
+  const pending = await PendingRegistration.findOne({
+    _id: id,
+    accountType,
+    expiresAt: { $gt: Date.now() },
+  });
+
+  if (!pending || pending.attempts >= MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const expected = Buffer.from(pending.activationCodeHash);
+  const actual = Buffer.from(hashCode(code));
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    pending.attempts += 1;
+    await pending.save();
+    return null;
+  }
+
+  return pending;
+};
+
+// upload the avatar of a sign up being activated, returns the account avatar
+const uploadPendingAvatar = async (pending) => {
+  if (!pending.avatarData) {
+    return pending.avatar;
+  }
+
+  const myCloud = await cloudinary.v2.uploader.upload(pending.avatarData, {
+    folder: "avatars",
+  });
+
+  return { public_id: myCloud.public_id, url: myCloud.secure_url };
+};
+
+const sendActivationMail = async (pending, activationUrl) => {
+  await sendMail({
+    email: pending.email,
+    subject:
+      pending.accountType === "Shop" ? "Activate your Shop" : "Activate your account",
+    message: `Hello ${pending.name}, please click the link to activate your ${
+      pending.accountType === "Shop" ? "shop" : "account"
+    }:\n\n${activationUrl}\n\nThis link expires in ${ACTIVATION_HOURS} hours.`,
+  });
+};
+
+// drop sign ups that were never activated, with the avatars they uploaded
+const purgeExpiredRegistrations = async () => {
+  const expired = await PendingRegistration.find({
+    expiresAt: { $lte: Date.now() },
+  });
+
+  for (const pending of expired) {
+    await destroyAvatar(pending.avatar);
+    await PendingRegistration.deleteOne({ _id: pending._id });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  createPendingRegistration,
+  renewActivationCode,
+  verifyActivationToken,
+  uploadPendingAvatar,
+  destroyAvatar,
+  sendActivationMail,
+  purgeExpiredRegistrations,
+};
@@ -0,0 +1,29 @@
+// every permission an admin route can require
+const PERMISSIONS = [
+  "users:read",
+  "users:delete",
+  "sellers:read",
+  "sellers:delete",
+  "products:read",
+  "events:read",
+  "orders:read",
+  "withdraw:read",
+  "withdraw:approve",
+  "roles:manage",
+  "audit:read",
+  "categories:manage",
+  "reviews:manage",
+];
+
+// roles that exist without a Role document; "Admin" can do everything
+const SUPER_ROLE = "Admin";
+const DEFAULT_ROLE = "user";
+
+const RESERVED_ROLES = [SUPER_ROLE, DEFAULT_ROLE];
+
+module.exports = {
+  PERMISSIONS,
+  SUPER_ROLE,
+  DEFAULT_ROLE,
+  RESERVED_ROLES,
+};
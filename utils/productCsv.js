@@ -0,0 +1,387 @@
+const mongoose = require("mongoose");
+const Product = require("../model/product");
+const { parseCsv, stringifyCsv, unescapeField } = require("./csv");
+const { destroyImages, mergeImages } = require("./productImages");
+const { slugify, findCategories } = require("./category");
+
+const MAX_IMPORT_ROWS = 1000;
+
+// a product is one row, or one row per variant with the product columns
+// repeated. Categories are written as their slug, image cells hold urls
+// separated by "|" and variant options are written as "size=M;color=Red".
+const COLUMNS = [
+  "sku",
+  "name",
+  "description",
+  "category",
+  "tags",
+  "originalPrice",
+  "discountPrice",
+  "stock",
+  "images",
+  "variantSku",
+  "variantOptions",
+  "variantPrice",
+  "variantOriginalPrice",
+  "variantStock",
+  "variantImages",
+];
+
+const NUMBER_FIELDS = ["originalPrice", "discountPrice", "stock"];
+const TEXT_FIELDS = ["name", "description", "category", "tags"];
+
+const joinImages = (images) => images.map((image) => image.url).join("|");
+
+const formatOptions = (product, options) =>
+  product.options
+    .map((axis) => `${axis.name}=${options[axis.name]}`)
+    .join(";");
+
+const productsToCsv = (products) => {
+  const rows = [COLUMNS];
+
+  for (const product of products) {
+    const base = [
+      // products made before skus existed are matched by id on import
+      product.sku || product._id.toString(),
+      product.name,
+      product.description,
+      // populated with the slug by the export
+      product.category && product.category.slug
+        ? product.category.slug
+        : product.category,
+      product.tags,
+      product.originalPrice,
+      product.discountPrice,
+      product.stock,
+      joinImages(product.images),
+    ];
+
+    if (!product.variants.length) {
+      rows.push(base);
+      continue;
+    }
+
+    for (const variant of product.variants) {
+      rows.push([
+        ...base,
+        variant.sku,
+        formatOptions(product, variant.options),
+        variant.price,
+        variant.originalPrice,
+        variant.stock,
+        joinImages(variant.images),
+      ]);
+    }
+  }
+
+  return stringifyCsv(rows);
+};
+
+const splitImages = (cell) =>
+  cell
+    .split("|")
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+// read the csv into one entry per product sku, with every problem found as
+// { row, field, error }. Rows are numbered like a spreadsheet, the header
+// is row 1.
+const parseProductCsv = (text) => {
+  const errors = [];
+  const rows = parseCsv(text || "");
+
+  if (!rows.length) {
+    return { groups: [], errors: [{ row: 1, field: "header", error: "The file is empty" }] };
+  }
+
+  const header = rows[0].map((column) => column.trim());
+
+  for (const column of ["sku", "name"]) {
+    if (!header.includes(column)) {
+      errors.push({ row: 1, field: column, error: `Missing column ${column}` });
+    }
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    errors.push({
+      row: 1,
+      field: "header",
+      error: `A file can have at most ${MAX_IMPORT_ROWS} rows`,
+    });
+  }
+
+  if (errors.length) {
+    return { groups: [], errors };
+  }
+
+  const groups = new Map();
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+
+    if (cells.every((cell) => !cell.trim())) {
+      return;
+    }
+
+    const record = {};
+    header.forEach((column, i) => {
+      record[column] = unescapeField((cells[i] || "").trim());
+    });
+
+    const rowError = (field, error) => errors.push({ row, field, error });
+
+    const number = (field) => {
+      if (!record[field]) {
+        return undefined;
+      }
+      const value = Number(record[field]);
+      if (Number.isNaN(value)) {
+        rowError(field, "Must be a number");
+        return undefined;
+      }
+      return value;
+    };
+
+    const images = (field) => {
+      const urls = splitImages(record[field] || "");
+      if (urls.some((url) => !/^https?:\/\//.test(url))) {
+        rowError(field, "Images must be http or https urls");
+      }
+      return record[field] ? urls : undefined;
+    };
+
+    if (!record.sku) {
+      return rowError("sku", "Sku is required");
+    }
+
+    if (!groups.has(record.sku)) {
+      const fields = {};
+      for (const field of TEXT_FIELDS) {
+        if (record[field]) fields[field] = record[field];
+      }
+      for (const field of NUMBER_FIELDS) {
+        const value = number(field);
+        if (value !== undefined) fields[field] = value;
+      }
+
+      groups.set(record.sku, {
+        sku: record.sku,
+        row,
+        fields,
+        images: images("images"),
+        variants: [],
+        plainRows: 0,
+      });
+    }
+
+    const group = groups.get(record.sku);
+
+    if (!record.variantSku) {
+      group.plainRows++;
+      if (group.variants.length) {
+        rowError("variantSku", `Sku ${record.sku} mixes rows with and without variants`);
+      } else if (group.plainRows > 1) {
+        rowError("sku", `Sku ${record.sku} is used by more than one product`);
+      }
+      return;
+    }
+
+    if (group.plainRows) {
+      return rowError("variantSku", `Sku ${record.sku} mixes rows with and without variants`);
+    }
+
+    const options = {};
+    for (const pair of (record.variantOptions || "").split(";")) {
+      if (!pair.trim()) continue;
+
+      const [name, value] = pair.split("=").map((part) => (part || "").trim());
+      if (!name || !value) {
+        rowError("variantOptions", "Options must look like size=M;color=Red");
+        break;
+      }
+      options[name] = value;
+    }
+
+    group.variants.push({
+      row,
+      sku: record.variantSku,
+      options,
+      price: number("variantPrice"),
+      originalPrice: number("variantOriginalPrice"),
+      stock: number("variantStock"),
+      images: images("variantImages"),
+    });
+  });
+
+  return { groups: [...groups.values()], errors };
+};
+
+// swap the category slugs or ids of the entries for category ids
+const resolveImportCategories = async (groups, errors) => {
+  const values = [
+    ...new Set(
+      groups.map((group) => group.fields.category).filter(Boolean)
+    ),
+  ];
+
+  const categories = values.length ? await findCategories(values) : [];
+
+  for (const group of groups) {
+    const value = group.fields.category;
+    if (!value) continue;
+
+    const category = categories.find(
+      (c) => c._id.toString() === value || c.slug === slugify(value)
+    );
+
+    if (category) {
+      group.fields.category = category._id;
+    } else {
+      errors.push({ row: group.row, field: "category", error: "Unknown category" });
+      delete group.fields.category;
+    }
+  }
+};
+
+// option axes in the order they first appear on the variants
+const optionAxes = (variants) => {
+  const axes = new Map();
+
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options)) {
+      if (!axes.has(name)) axes.set(name, []);
+      if (!axes.get(name).includes(value)) axes.get(name).push(value);
+    }
+  }
+
+  return [...axes].map(([name, values]) => ({ name, values }));
+};
+
+const withoutBlanks = (data) =>
+  Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+
+// the product a csv entry creates or updates, not saved yet, and the images
+// of variants it drops. Blank cells leave the current value alone, and an
+// entry without variant rows leaves the variants alone.
+const buildImportProduct = async (shop, group, actor) => {
+  const matches = [{ sku: group.sku }];
+
+  if (mongoose.isValidObjectId(group.sku)) {
+    matches.push({ _id: group.sku, sku: { $exists: false } });
+  }
+
+  let product = await Product.findOne({
+    shopId: shop._id.toString(),
+    $or: matches,
+  });
+
+  const isNew = !product;
+
+  if (isNew) {
+    product = new Product({
+      shopId: shop._id.toString(),
+      shop,
+      createdBy: actor,
+    });
+  }
+
+  product.set({ ...group.fields, sku: group.sku });
+
+  const removed = [];
+
+  if (group.variants.length) {
+    const skus = group.variants.map((data) => data.sku);
+    for (const variant of product.variants) {
+      if (!skus.includes(variant.sku)) removed.push(...variant.images);
+    }
+
+    product.options = optionAxes(group.variants);
+    product.variants = group.variants.map((data) => {
+      const existing = product.variants.find((v) => v.sku === data.sku);
+      const { row, images, ...fields } = data;
+
+      return {
+        ...(existing ? existing.toObject() : {}),
+        ...withoutBlanks(fields),
+      };
+    });
+  }
+
+  return { product, isNew, removed };
+};
+
+// turn a validation error into report entries, on the variant's own row
+// when the error is about a variant
+const validationErrors = (group, error) => {
+  if (!error.errors) {
+    return [{ row: group.row, field: "variants", error: error.message }];
+  }
+
+  return Object.values(error.errors).map((fieldError) => {
+    const match = /^variants\.(\d+)\.(\w+)/.exec(fieldError.path);
+    const variant = match ? group.variants[Number(match[1])] : null;
+
+    return {
+      row: variant ? variant.row : group.row,
+      field: match ? `variant${match[2][0].toUpperCase()}${match[2].slice(1)}` : fieldError.path,
+      error: fieldError.message,
+    };
+  });
+};
+
+// image urls that are already on the product are kept, others get uploaded
+const toImageList = (current, urls) =>
+  urls.map((url) => {
+    const image = current.find((i) => i.url === url);
+    return image ? { public_id: image.public_id } : url;
+  });
+
+// upload the images of an entry onto its product, returns the images the
+// product no longer uses and the ones uploaded for it
+const applyImportImages = async (product, group) => {
+  const removed = [];
+  const uploaded = [];
+
+  try {
+    if (group.images !== undefined) {
+      const merged = await mergeImages(
+        product.images,
+        toImageList(product.images, group.images)
+      );
+      uploaded.push(...merged.uploaded);
+      removed.push(...merged.removed);
+      product.images = merged.images;
+    }
+
+    for (const data of group.variants) {
+      const variant = product.variants.find((v) => v.sku === data.sku);
+
+      if (data.images === undefined) continue;
+
+      const merged = await mergeImages(
+        variant.images,
+        toImageList(variant.images, data.images)
+      );
+      uploaded.push(...merged.uploaded);
+      removed.push(...merged.removed);
+      variant.images = merged.images;
+    }
+  } catch (error) {
+    await destroyImages(uploaded);
+    throw error;
+  }
+
+  return { removed, uploaded };
+};
+
+module.exports = {
+  productsToCsv,
+  parseProductCsv,
+  resolveImportCategories,
+  buildImportProduct,
+  validationErrors,
+  applyImportImages,
+};
@@ -0,0 +1,79 @@
+const cloudinary = require("cloudinary");
+const ErrorHandler = require("./ErrorHandler");
+
+// upload base64 images or urls, to the products folder by default
+const uploadImages = async (images, folder = "products") => {
+  if (!images) {
+    return [];
+  }
+
+  const list = typeof images === "string" ? [images] : images;
+  const links = [];
+
+  for (const image of list) {
+    const result = await cloudinary.v2.uploader.upload(image, { folder });
+
+    links.push({
+      public_id: result.public_id,
+      url: result.secure_url,
+    });
+  }
+
+  return links;
+};
+
+const destroyImages = async (images) => {
+  for (const image of images) {
+    await cloudinary.v2.uploader.destroy(image.public_id);
+  }
+};
+
+// build the new image list from what the seller sent, in that order: an
+// object with a public_id keeps one of the current images, a string is a new
+// image to upload. Current images left out are returned as removed.
+const mergeImages = async (current, requested, folder = "products") => {
+  const list = typeof requested === "string" ? [requested] : requested;
+
+  if (!Array.isArray(list)) {
+    throw new ErrorHandler("Images must be a list", 400);
+  }
+
+  const byPublicId = new Map(current.map((image) => [image.public_id, image]));
+  const kept = new Set();
+
+  for (const image of list) {
+    if (typeof image === "string") continue;
+
+    if (!image || !byPublicId.has(image.public_id)) {
+      throw new ErrorHandler("Image not found on this product", 400);
+    }
+    kept.add(image.public_id);
+  }
+
+  const images = [];
+  const uploaded = [];
+
+  try {
+    for (const image of list) {
+      if (typeof image === "string") {
+        const [link] = await uploadImages(image, folder);
+        uploaded.push(link);
+        images.push(link);
+      } else {
+        const { public_id, url } = byPublicId.get(image.public_id);
+        images.push({ public_id, url });
+      }
+    }
+  } catch (error) {
+    await destroyImages(uploaded);
+    throw error;
+  }
+
+  return {
+    images,
+    uploaded,
+    removed: current.filter((image) => !kept.has(image.public_id)),
+  };
+};
+
+module.exports = { uploadImages, destroyImages, mergeImages };
@@ -0,0 +1,276 @@
+const mongoose = require("mongoose");
+const ErrorHandler = require("./ErrorHandler");
+const Category = require("../model/category");
+const { findCategories, withDescendants } = require("./category");
+
+const MAX_PAGE_SIZE = 100;
+
+// lower bounds of the price facet buckets, in RWF
+const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000, 250000];
+
+// field each sort orders by and its direction, ties are broken by _id.
+// Products missing a nullable field come last.
+const SORTS = {
+  relevance: { field: "_score", direction: -1 },
+  newest: { field: "createdAt", direction: -1 },
+  price_asc: { field: "discountPrice", direction: 1 },
+  price_desc: { field: "discountPrice", direction: -1 },
+  best_selling: { field: "sold_out", direction: -1, nullable: true },
+  rating: { field: "ratings", direction: -1, nullable: true },
+};
+
+// a query string value given more than once, or as an object, is an array
+// or object instead of a string
+const toText = (value, name) => {
+  if (value !== undefined && typeof value !== "string") {
+    throw new ErrorHandler(`${name} must be a string`, 400);
+  }
+  return value;
+};
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new ErrorHandler(`${name} must be a number`, 400);
+  }
+  return number;
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// the cursor is the sort value and id of the last product of the page
+const encodeCursor = (product, sort) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: product[SORTS[sort].field],
+      id: product._id,
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new ErrorHandler("Invalid cursor", 400);
+  }
+
+  if (
+    !decoded ||
+    decoded.s !== sort ||
+    !mongoose.isValidObjectId(decoded.id)
+  ) {
+    throw new ErrorHandler("Invalid cursor", 400);
+  }
+
+  return {
+    value: sort === "newest" && decoded.v !== null ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+  };
+};
+
+// turn the query string into filters, the sort and the page to return.
+// Category and price filters are kept apart so each facet can be counted
+// without its own filter applied. Categories are ids or slugs, with
+// includeDescendants=true their subcategories match too.
+const parseSearchQuery = async (query) => {
+  const q = (toText(query.q, "q") || "").trim();
+  const sort = toText(query.sort, "sort") || (q ? "relevance" : "newest");
+  const cursor = toText(query.cursor, "cursor");
+
+  if (!SORTS[sort]) {
+    throw new ErrorHandler(`sort must be one of ${Object.keys(SORTS).join(", ")}`, 400);
+  }
+  if (sort === "relevance" && !q) {
+    throw new ErrorHandler("Sorting by relevance needs a search text", 400);
+  }
+
+  const base = {};
+
+  if (q) {
+    base.$text = { $search: q };
+  }
+
+  const shops = toList(query.shopId);
+  if (shops.length) {
+    base.shopId = { $in: shops };
+  }
+
+  const minRating = toNumber(query.minRating, "minRating");
+  if (minRating !== undefined) {
+    base.ratings = { $gte: minRating };
+  }
+
+  if (query.inStock === "true") {
+    base.stock = { $gt: 0 };
+  }
+
+  const categoryValues = toList(query.category);
+  let category = {};
+
+  if (categoryValues.length) {
+    const categories = await findCategories(categoryValues);
+    const ids =
+      query.includeDescendants === "true"
+        ? await withDescendants(categories)
+        : categories.map((c) => c._id);
+
+    category = { category: { $in: ids } };
+  }
+
+  const minPrice = toNumber(query.minPrice, "minPrice");
+  const maxPrice = toNumber(query.maxPrice, "maxPrice");
+  const price = {};
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    price.discountPrice = {};
+    if (minPrice !== undefined) price.discountPrice.$gte = minPrice;
+    if (maxPrice !== undefined) price.discountPrice.$lte = maxPrice;
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return {
+    base,
+    category,
+    price,
+    sort,
+    limit,
+    cursor: cursor ? decodeCursor(cursor, sort) : null,
+  };
+};
+
+// products after the cursor in the sort order
+const afterCursor = ({ field, direction, nullable }, cursor) => {
+  const after = direction === 1 ? "$gt" : "$lt";
+
+  if (cursor.value === null) {
+    return { [field]: null, _id: { [after]: cursor.id } };
+  }
+
+  return {
+    $or: [
+      { [field]: { [after]: cursor.value } },
+      { [field]: cursor.value, _id: { [after]: cursor.id } },
+      ...(nullable ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+// one page of products, sorted on a stored field so the indexes can serve it
+const buildPagePipeline = ({ base, category, price, sort, limit, cursor }) => {
+  const order = SORTS[sort];
+  const pipeline = [{ $match: { ...base, ...category, ...price } }];
+
+  if (sort === "relevance") {
+    pipeline.push({ $addFields: { _score: { $meta: "textScore" } } });
+  }
+
+  if (cursor) {
+    pipeline.push({ $match: afterCursor(order, cursor) });
+  }
+
+  pipeline.push(
+    { $sort: { [order.field]: order.direction, _id: order.direction } },
+    // one extra to know if there is a next page
+    { $limit: limit + 1 }
+  );
+
+  return pipeline;
+};
+
+// the total and the facets over every product that matches, whatever the page
+const buildFacetPipeline = ({ base, category, price }) => [
+  { $match: base },
+  {
+    $facet: {
+      total: [{ $match: { ...category, ...price } }, { $count: "count" }],
+      categories: [
+        { $match: price },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      prices: [
+        { $match: category },
+        {
+          $bucket: {
+            groupBy: "$discountPrice",
+            boundaries: [...PRICE_BUCKETS, Infinity],
+            default: "other",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+    },
+  },
+];
+
+// the facets only hold category ids, add their names
+const categoryFacetNames = async (result) => {
+  const categories = await Category.find({
+    _id: {
+      $in: result.categories
+        .map((bucket) => bucket._id)
+        .filter((id) => id instanceof mongoose.Types.ObjectId),
+    },
+  }).select("name slug");
+
+  return new Map(categories.map((c) => [c._id.toString(), c]));
+};
+
+const formatSearchResult = async (page, result, { sort, limit }) => {
+  const products = page.slice(0, limit);
+  const hasMore = page.length > limit;
+
+  const nextCursor =
+    hasMore && products.length
+      ? encodeCursor(products[products.length - 1], sort)
+      : null;
+
+  products.forEach((product) => delete product._score);
+
+  const names = await categoryFacetNames(result);
+
+  return {
+    products,
+    total: result.total.length ? result.total[0].count : 0,
+    nextCursor,
+    facets: {
+      categories: result.categories.map((bucket) => {
+        const category = bucket._id && names.get(bucket._id.toString());
+        return {
+          category: bucket._id,
+          name: category ? category.name : null,
+          slug: category ? category.slug : null,
+          count: bucket.count,
+        };
+      }),
+      prices: result.prices
+        .filter((bucket) => bucket._id !== "other")
+        .map((bucket) => {
+          const index = PRICE_BUCKETS.indexOf(bucket._id);
+          return {
+            min: bucket._id,
+            max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+            count: bucket.count,
+          };
+        }),
+    },
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildPagePipeline,
+  buildFacetPipeline,
+  formatSearchResult,
+};
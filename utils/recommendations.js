@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const Product = require("../model/product");
+const Order = require("../model/order");
+const CoPurchase = require("../model/coPurchase");
+
+// products kept per product, the rest is never shown
+const MAX_RELATED = 20;
+
+// orders that don't count as a purchase
+const NOT_BOUGHT = ["Cancelled", "Refund Success"];
+
+// cart ids come from browser json on older orders, skip the ones that are
+// not product ids
+const toObjectId = (field) => ({
+  $convert: { input: field, to: "objectId", onError: null, onNull: null },
+});
+
+// count, for every pair of products, the checkouts that had both and replace
+// the co-purchase collection with the most frequent ones. Orders placed
+// together in one checkout are one basket, older orders each their own.
+const recomputeCoPurchases = async () => {
+  const computedAt = new Date();
+
+  await Order.aggregate([
+    { $match: { status: { $nin: NOT_BOUGHT } } },
+    { $unwind: "$cart" },
+    { $match: { "cart.model": { $ne: "Event" } } },
+    {
+      $group: {
+        _id: { $ifNull: ["$checkoutId", { $toString: "$_id" }] },
+        products: { $addToSet: toObjectId("$cart._id") },
+      },
+    },
+    { $project: { basket: { $setDifference: ["$products", [null]] } } },
+    { $match: { "basket.1": { $exists: true } } },
+    { $addFields: { product: "$basket" } },
+    { $unwind: "$product" },
+    {
+      $project: {
+        product: 1,
+        related: { $setDifference: ["$basket", ["$product"]] },
+      },
+    },
+    { $unwind: "$related" },
+    {
+      $group: {
+        _id: { product: "$product", related: "$related" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.product": 1, count: -1 } },
+    {
+      $group: {
+        _id: "$_id.product",
+        related: { $push: { related: "$_id.related", count: "$count" } },
+      },
+    },
+    { $project: { related: { $slice: ["$related", MAX_RELATED] } } },
+    { $unwind: "$related" },
+    {
+      $project: {
+        _id: 0,
+        product: "$_id",
+        related: "$related.related",
+        count: "$related.count",
+        computedAt: { $literal: computedAt },
+      },
+    },
+    { $out: CoPurchase.collection.collectionName },
+  ]).allowDiskUse(true);
+
+  return CoPurchase.estimatedDocumentCount();
+};
+
+// best selling products in stock of the categories, or of the whole catalog
+// when there are none
+const categoryBestSellers = async (categoryIds, excludeIds, limit) => {
+  const filter = { _id: { $nin: excludeIds }, stock: { $gt: 0 } };
+
+  if (categoryIds.length) {
+    filter.category = { $in: categoryIds };
+  }
+
+  return Product.find(filter).sort({ sold_out: -1, ratings: -1 }).limit(limit);
+};
+
+// the related products in stock, most bought together first
+const relatedInStock = async (pairs, limit) => {
+  const products = await Product.find({
+    _id: { $in: pairs.map((pair) => pair._id) },
+    stock: { $gt: 0 },
+  });
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return pairs
+    .map((pair) => byId.get(pair._id.toString()))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+// tag each product with where the recommendation came from
+const tagged = (products, source) =>
+  products.map((product) => ({ ...product.toObject(), source }));
+
+// products most often bought with this one, topped up with best sellers of
+// its category
+const frequentlyBoughtTogether = async (product, limit) => {
+  const pairs = await CoPurchase.find({ product: product._id })
+    .sort({ count: -1 })
+    .limit(MAX_RELATED)
+    .select("related count");
+
+  const together = await relatedInStock(
+    pairs.map((pair) => ({ _id: pair.related, count: pair.count })),
+    limit
+  );
+
+  const fallback =
+    together.length < limit
+      ? await categoryBestSellers(
+          product.category ? [product.category] : [],
+          [product._id, ...together.map((item) => item._id)],
+          limit - together.length
+        )
+      : [];
+
+  return [
+    ...tagged(together, "bought_together"),
+    ...tagged(fallback, "best_seller"),
+  ];
+};
+
+// products bought together with what the user bought before, that they don't
+// have yet, topped up with best sellers of the categories they buy from
+const recommendedForUser = async (user, limit) => {
+  const purchased = await Order.distinct("cart._id", {
+    "user._id": user._id.toString(),
+    status: { $nin: NOT_BOUGHT },
+  });
+
+  const bought = await Product.find({
+    _id: { $in: purchased.filter((id) => mongoose.isValidObjectId(id)) },
+  }).select("category");
+  const boughtIds = bought.map((product) => product._id);
+
+  const pairs = await CoPurchase.aggregate([
+    { $match: { product: { $in: boughtIds }, related: { $nin: boughtIds } } },
+    { $group: { _id: "$related", count: { $sum: "$count" } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_RELATED },
+  ]);
+
+  const together = await relatedInStock(pairs, limit);
+
+  const categories = [
+    ...new Set(
+      bought
+        .filter((product) => product.category)
+        .map((product) => product.category.toString())
+    ),
+  ];
+
+  const fallback =
+    together.length < limit
+      ? await categoryBestSellers(
+          categories,
+          [...boughtIds, ...together.map((item) => item._id)],
+          limit - together.length
+        )
+      : [];
+
+  return [
+    ...tagged(together, "bought_together"),
+    ...tagged(fallback, "best_seller"),
+  ];
+};
+
+module.exports = {
+  recomputeCoPurchases,
+  frequentlyBoughtTogether,
+  recommendedForUser,
+};
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const Product = require("../model/product");
+const Order = require("../model/order");
+const Review = require("../model/review");
+const ErrorHandler = require("./ErrorHandler");
+const { uploadImages, destroyImages } = require("./productImages");
+
+const MAX_REVIEW_IMAGES = 5;
+
+// change the rating totals of a product in one atomic update. `added` and
+// `removed` are the star ratings that came and went, an edit has both.
+const updateRatings = (productId, { added, removed }) => {
+  const counts = {};
+  if (added) counts[added] = (counts[added] || 0) + 1;
+  if (removed) counts[removed] = (counts[removed] || 0) - 1;
+
+  const increment = (field, by) => ({
+    $add: [{ $ifNull: [`$${field}`, 0] }, by],
+  });
+
+  const totals = {
+    ratingSum: increment("ratingSum", (added || 0) - (removed || 0)),
+    numOfReviews: increment("numOfReviews", (added ? 1 : 0) - (removed ? 1 : 0)),
+  };
+  for (const [stars, by] of Object.entries(counts)) {
+    totals[`ratingCounts.${stars}`] = increment(`ratingCounts.${stars}`, by);
+  }
+
+  return Product.updateOne({ _id: productId }, [
+    { $set: totals },
+    {
+      $set: {
+        ratings: {
+          $cond: [
+            { $gt: ["$numOfReviews", 0] },
+            { $divide: ["$ratingSum", "$numOfReviews"] },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// the order line a review is about; products bought in several variants
+// need the variant to tell the lines apart
+const findOrderLine = (order, productId, variantId) => {
+  const lines = order.cart.filter(
+    (item) =>
+      String(item._id) === String(productId) &&
+      (!variantId || String(item.variantId) === String(variantId))
+  );
+
+  return lines.length === 1 ? lines[0] : null;
+};
+
+// review an item of a delivered order of the user, marks the order line as
+// reviewed and counts the rating on the product
+const createReview = async (user, { orderId, productId, variantId, rating, comment, images }) => {
+  if (!orderId || !productId || !rating) {
+    throw new ErrorHandler("Please provide the all fields!", 400);
+  }
+
+  if (Array.isArray(images) && images.length > MAX_REVIEW_IMAGES) {
+    throw new ErrorHandler(`You can add up to ${MAX_REVIEW_IMAGES} photos`, 400);
+  }
+
+  const order = await Order.findOne({
+    _id: orderId,
+    "user._id": user._id.toString(),
+  });
+
+  if (!order) {
+    throw new ErrorHandler("Order not found with this id", 404);
+  }
+
+  if (order.status !== "Delivered") {
+    throw new ErrorHandler("You can review a product once it is delivered", 400);
+  }
+
+  const line = findOrderLine(order, productId, variantId);
+
+  if (!line) {
+    throw new ErrorHandler("Please select the item of the order to review", 400);
+  }
+
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new ErrorHandler("Product is not found with this id", 404);
+  }
+
+  const lineVariantId = line.variantId || null;
+
+  if (await Review.exists({ order: order._id, product: product._id, variantId: lineVariantId })) {
+    throw new ErrorHandler("You already reviewed this item", 400);
+  }
+
+  const uploaded = await uploadImages(images, "reviews");
+
+  let review;
+  try {
+    review = await Review.create({
+      product: product._id,
+      shopId: product.shopId,
+      order: order._id,
+      variantId: lineVariantId,
+      variant: line.variant,
+      user: user._id,
+      author: {
+        name: user.name,
+        avatar: user.avatar ? user.avatar.url : undefined,
+      },
+      rating,
+      comment,
+      images: uploaded,
+    });
+  } catch (error) {
+    await destroyImages(uploaded);
+    throw error;
+  }
+
+  await updateRatings(product._id, { added: review.rating });
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { "cart.$[elem].isReviewed": true } },
+    {
+      arrayFilters: [
+        line.variantId
+          ? { "elem._id": line._id, "elem.variantId": line.variantId }
+          : { "elem._id": line._id },
+      ],
+    }
+  );
+
+  return review;
+};
+
+// copy the reviews embedded on products into the Review collection, linked
+// to the delivered order they were written for when it can be found, and
+// count them in the rating totals. Copied reviews are taken off the product
+// so running it again only moves what is left.
+const migrateLegacyReviews = async () => {
+  const products = await Product.find({ "reviews.0": { $exists: true } });
+
+  let migrated = 0;
+
+  for (const product of products) {
+    for (const legacy of product.reviews) {
+      const userId = legacy.user && legacy.user._id ? String(legacy.user._id) : null;
+      const rating = Math.min(Math.max(Math.round(Number(legacy.rating)) || 0, 1), 5);
+
+      const order = userId
+        ? await Order.findOne({
+            "user._id": userId,
+            status: "Delivered",
+            "cart._id": product._id.toString(),
+          })
+        : null;
+      const hasReview =
+        order &&
+        (await Review.exists({ order: order._id, product: product._id, variantId: null }));
+
+      await Review.create({
+        product: product._id,
+        shopId: product.shopId,
+        ...(order && !hasReview && { order: order._id }),
+        legacy: true,
+        user: mongoose.isValidObjectId(userId) ? userId : undefined,
+        author: {
+          name: legacy.user ? legacy.user.name : undefined,
+          avatar: legacy.user && legacy.user.avatar ? legacy.user.avatar.url : undefined,
+        },
+        rating,
+        comment: legacy.comment,
+        createdAt: legacy.createdAt,
+      });
+
+      await updateRatings(product._id, { added: rating });
+
+      await Product.updateOne(
+        { _id: product._id },
+        { $pull: { reviews: { _id: legacy._id } } }
+      );
+
+      migrated++;
+    }
+  }
+
+  return migrated;
+};
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 },
+};
+
+module.exports = {
+  MAX_REVIEW_IMAGES,
+  REVIEW_SORTS,
+  updateRatings,
+  findOrderLine,
+  createReview,
+  migrateLegacyReviews,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const Session = require("../model/session");
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// only bump lastSeenAt once in a while so every request doesn't write
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString("hex");
+
+const getClientIp = (req) => {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return req.ip || (req.socket && req.socket.remoteAddress);
+};
+
+// rough "Browser on OS" label for the session list
+const parseDevice = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  let browser = "Unknown browser";
+  if (/Edg\//.test(userAgent)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(userAgent)) browser = "Opera";
+  else if (/Chrome\//.test(userAgent)) browser = "Chrome";
+  else if (/Firefox\//.test(userAgent)) browser = "Firefox";
+  else if (/Safari\//.test(userAgent)) browser = "Safari";
+  else if (/okhttp|Dart|Expo|React ?Native/i.test(userAgent)) browser = "Mobile app";
+
+  let os = "Unknown OS";
+  if (/Android/.test(userAgent)) os = "Android";
+  else if (/iPhone|iPad|iPod/.test(userAgent)) os = "iOS";
+  else if (/Windows/.test(userAgent)) os = "Windows";
+  else if (/Mac OS X|Macintosh/.test(userAgent)) os = "macOS";
+  else if (/Linux/.test(userAgent)) os = "Linux";
+
+  return `${browser} on ${os}`;
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// open a new session for a user or shop and return its first refresh token
+const createSession = async (owner, ownerModel, req, member) => {
+  const refreshToken = generateRefreshToken();
+  const userAgent = req.headers["user-agent"];
+
+  const session = await Session.create({
+    owner: owner._id,
+    ownerModel,
+    member: member ? member._id : undefined,
+    refreshTokenHash: hashToken(refreshToken),
+    device: parseDevice(userAgent),
+    userAgent,
+    ip: getClientIp(req),
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken };
+};
+
+// swap a refresh token for a new one, returns null if it can't be used
+const rotateSession = async (refreshToken, ownerModel, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({
+    refreshTokenHash: tokenHash,
+    ownerModel,
+  });
+
+  if (!session) {
+    // an already rotated token is being replayed, so someone else has a copy
+    // of it: end the whole session
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, ownerModel, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const userAgent = req.headers["user-agent"];
+
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.userAgent = userAgent;
+  session.device = parseDevice(userAgent);
+  session.ip = getClientIp(req);
+  session.lastSeenAt = Date.now();
+  session.expiresAt = refreshExpiry();
+
+  await session.save();
+
+  return { session, refreshToken: newRefreshToken };
+};
+
+const touchSession = async (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL) {
+    return;
+  }
+  await Session.updateOne({ _id: session._id }, { lastSeenAt: Date.now() });
+};
+
+const revokeSessions = async (filter) => {
+  await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+const getActiveSessions = (owner, ownerModel, filter = {}) =>
+  Session.find({
+    ...filter,
+    owner: owner._id,
+    ownerModel,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  }).sort({ lastSeenAt: -1 });
+
+// what the sessions list returns, never the token hashes
+const serializeSession = (session, currentSessionId) => ({
+  _id: session._id,
+  member: session.member,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  current: currentSessionId ? session._id.equals(currentSessionId) : false,
+});
+
+const accessCookieOptions = () => ({
+  expires: new Date(Date.now() + ACCESS_TOKEN_MINUTES * 60 * 1000),
+  httpOnly: true,
+  sameSite: "none",
+  secure: true,
+});
+
+// refresh cookies are only sent to the router that can rotate them
+const refreshCookieOptions = (path) => ({
+  expires: refreshExpiry(),
+  httpOnly: true,
+  sameSite: "none",
+  secure: true,
+  path,
+});
+
+const clearCookieOptions = (path = "/") => ({
+  expires: new Date(Date.now()),
+  httpOnly: true,
+  sameSite: "none",
+  secure: true,
+  path,
+});
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  hashToken,
+  getClientIp,
+  createSession,
+  rotateSession,
+  touchSession,
+  revokeSessions,
+  getActiveSessions,
+  serializeSession,
+  accessCookieOptions,
+  refreshCookieOptions,
+  clearCookieOptions,
+};
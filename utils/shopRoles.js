@@ -0,0 +1,64 @@
+// what each shop staff role may do; the shop owner can do everything,
+// including managing staff, payment methods and withdrawals
+const SHOP_ROLES = {
+  manager: [
+    "products:read",
+    "products:write",
+    "orders:read",
+    "orders:write",
+    "orders:refund",
+    "coupons:read",
+    "coupons:write",
+    "conversations:read",
+    "reviews:reply",
+    "questions:answer",
+    "settings:write",
+  ],
+  fulfillment: ["orders:read", "orders:write"],
+  support: [
+    "orders:read",
+    "orders:refund",
+    "coupons:read",
+    "conversations:read",
+    "reviews:reply",
+    "questions:answer",
+  ],
+};
+
+const SHOP_ROLE_NAMES = Object.keys(SHOP_ROLES);
+
+// who performed a seller action, stored on the documents it touches
+const sellerActor = (req) => {
+  if (req.apiKey) {
+    return {
+      kind: "apiKey",
+      id: req.apiKey._id,
+      name: req.apiKey.name,
+      role: "apiKey",
+    };
+  }
+
+  if (req.member) {
+    return {
+      kind: "member",
+      id: req.member._id,
+      name: req.member.name,
+      email: req.member.email,
+      role: req.member.role,
+    };
+  }
+
+  return {
+    kind: "owner",
+    id: req.seller._id,
+    name: req.seller.name,
+    email: req.seller.email,
+    role: "owner",
+  };
+};
+
+module.exports = {
+  SHOP_ROLES,
+  SHOP_ROLE_NAMES,
+  sellerActor,
+};
@@ -1,20 +1,34 @@
-// create token and saving that in cookies
-const sendShopToken = (user, statusCode, res) => {
-  const token = user.getJwtToken();
+const {
+  createSession,
+  accessCookieOptions,
+  refreshCookieOptions,
+} = require("./session");
 
-  // Options for cookies
-  const options = {
-    expires: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-    sameSite: "none",
-    secure: true,
-  };
-
-  res.status(statusCode).cookie("seller_token", token, options).json({
-    success: true,
+// create a session and save its access and refresh tokens in cookies
+const sendShopToken = async (user, statusCode, res, member) => {
+  const { session, refreshToken } = await createSession(
     user,
-    token,
-  });
+    "Shop",
+    res.req,
+    member
+  );
+
+  const token = user.getJwtToken(session._id);
+
+  res
+    .status(statusCode)
+    .cookie("seller_token", token, accessCookieOptions())
+    .cookie(
+      "seller_refresh_token",
+      refreshToken,
+      refreshCookieOptions("/api/v2/shop")
+    )
+    .json({
+      success: true,
+      user,
+      member,
+      token,
+    });
 };
 
 module.exports = sendShopToken;
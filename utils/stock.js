@@ -0,0 +1,301 @@
+const Product = require("../model/product");
+const Event = require("../model/event");
+const Order = require("../model/order");
+const ErrorHandler = require("./ErrorHandler");
+const { checkLowStock } = require("./lowStock");
+const { queueWishlistNotifications } = require("./wishlist");
+
+// how long an order that isn't paid yet holds its stock
+const RESERVATION_MINUTES = Number(process.env.ORDER_RESERVATION_MINUTES) || 30;
+// how long the seller has to confirm a cash on delivery order
+const CASH_ON_DELIVERY_HOURS = Number(process.env.ORDER_CASH_ON_DELIVERY_HOURS) || 48;
+
+const modelOf = (item) => (item.model === "Event" ? Event : Product);
+
+// products of a cart whose stock just changed, for the low stock alerts
+const productIdsOf = (cart) =>
+  cart.filter((item) => item.model !== "Event").map((item) => item._id);
+
+// change the stock and sold count of a cart line in one atomic update, on the
+// variant too when the line has one. Taking stock only succeeds while enough
+// is left, so two buyers can't get the last unit. The version is bumped so a
+// seller's edit loaded before the change can't write old stock back.
+const changeStock = async (item, { stock = 0, sold = 0 }) => {
+  const filter = { _id: item._id };
+  const update = { $inc: { stock, sold_out: sold, __v: 1 } };
+  const options = {};
+
+  if (item.variantId) {
+    filter.variants = { $elemMatch: { _id: item.variantId } };
+    if (stock < 0) {
+      filter.variants.$elemMatch.stock = { $gte: -stock };
+    }
+
+    update.$inc["variants.$[variant].stock"] = stock;
+    update.$inc["variants.$[variant].sold_out"] = sold;
+    options.arrayFilters = [{ "variant._id": item.variantId }];
+  } else if (stock < 0) {
+    filter.stock = { $gte: -stock };
+  }
+
+  const result = await modelOf(item).updateOne(filter, update, options);
+
+  return result.modifiedCount === 1;
+};
+
+// check every cart line points to something on sale, that products with
+// variants pick one, and copy the variant onto the line so the order keeps
+// what was bought
+const resolveCartVariants = async (cart) => {
+  if (!Array.isArray(cart) || !cart.length) {
+    throw new ErrorHandler("Your cart is empty", 400);
+  }
+
+  const ids = cart.map((item) => item._id);
+  const [products, events] = await Promise.all([
+    Product.find({ _id: { $in: ids } }).select("name variants"),
+    Event.find({ _id: { $in: ids } }).select("name"),
+  ]);
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const eventIds = new Set(events.map((e) => e._id.toString()));
+
+  return cart.map((item) => {
+    if (!Number.isInteger(item.qty) || item.qty < 1) {
+      throw new ErrorHandler(`Please enter a valid quantity for ${item.name}`, 400);
+    }
+
+    if (eventIds.has(String(item._id))) {
+      return { ...item, model: "Event" };
+    }
+
+    const product = byId.get(String(item._id));
+
+    if (!product) {
+      throw new ErrorHandler(`${item.name || "An item"} is no longer available`, 400);
+    }
+
+    if (!product.variants.length) {
+      return item;
+    }
+
+    const variant = product.getVariant(item.variantId);
+
+    if (!variant) {
+      throw new ErrorHandler(`Please select an option for ${product.name}`, 400);
+    }
+
+    return {
+      ...item,
+      variantId: variant._id,
+      variant: {
+        sku: variant.sku,
+        options: variant.options,
+        price: variant.price,
+        image: variant.images.length ? variant.images[0].url : undefined,
+      },
+    };
+  });
+};
+
+// stock left for a cart line, for the error shown to the buyer
+const availableStock = async (item) => {
+  const doc = await modelOf(item).findById(item._id).select("stock variants");
+
+  if (!doc) {
+    return 0;
+  }
+
+  if (item.variantId) {
+    const variant = doc.variants.id(item.variantId);
+    return variant ? variant.stock : 0;
+  }
+
+  return doc.stock;
+};
+
+// take the stock of every cart line, or none of it. Returns the lines that
+// couldn't be reserved with the stock that is left for each.
+const reserveCart = async (cart) => {
+  const reserved = [];
+  const failed = [];
+
+  for (const item of cart) {
+    if (await changeStock(item, { stock: -item.qty })) {
+      reserved.push(item);
+    } else {
+      failed.push(item);
+    }
+  }
+
+  if (!failed.length) {
+    await checkLowStock(productIdsOf(cart));
+    await queueWishlistNotifications(productIdsOf(cart));
+    return [];
+  }
+
+  for (const item of reserved) {
+    await changeStock(item, { stock: item.qty });
+  }
+
+  return Promise.all(
+    failed.map(async (item) => {
+      const available = await availableStock(item);
+
+      return {
+        productId: item._id,
+        variantId: item.variantId,
+        name: item.name,
+        requested: item.qty,
+        available,
+        error:
+          available > 0
+            ? `Only ${available} left of ${item.name}`
+            : `${item.name} is out of stock`,
+      };
+    })
+  );
+};
+
+const releaseCart = async (cart) => {
+  for (const item of cart) {
+    await changeStock(item, { stock: item.qty });
+  }
+};
+
+// move the reservation of an order from one status to another, only one
+// request can do it. Returns the status it had, undefined for orders made
+// before stock was reserved, or false when it was not in one of `from`.
+const claimReservation = async (order, from, to) => {
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, "reservation.status": { $in: from } },
+    { $set: { "reservation.status": to } }
+  );
+
+  if (!previous) {
+    return false;
+  }
+
+  order.set("reservation.status", to);
+
+  return previous.reservation ? previous.reservation.status : undefined;
+};
+
+// the order was shipped: reserved stock becomes sold
+const commitOrderStock = async (order) => {
+  const previous = await claimReservation(order, ["held", null], "committed");
+
+  if (previous === false) {
+    return;
+  }
+
+  for (const item of order.cart) {
+    await changeStock(item, {
+      // older orders never took their stock at checkout
+      stock: previous === "held" ? 0 : -item.qty,
+      sold: item.qty,
+    });
+  }
+
+  if (previous !== "held") {
+    await checkLowStock(productIdsOf(order.cart));
+    await queueWishlistNotifications(productIdsOf(order.cart));
+  }
+};
+
+// the order was cancelled, expired or refunded: its stock goes back on sale.
+// Returns false when the stock was already released or is not in `from`.
+const releaseOrderStock = async (order, from = ["held", "committed", null]) => {
+  const previous = await claimReservation(order, from, "released");
+
+  if (previous === false) {
+    return false;
+  }
+
+  for (const item of order.cart) {
+    await changeStock(item, {
+      stock: item.qty,
+      sold: previous === "held" ? 0 : -item.qty,
+    });
+  }
+
+  await checkLowStock(productIdsOf(order.cart));
+  await queueWishlistNotifications(productIdsOf(order.cart));
+
+  return true;
+};
+
+const SYSTEM_ACTOR = { kind: "system", name: "Guriraline" };
+
+// cancel orders that were never paid and give their stock back
+const releaseExpiredReservations = async () => {
+  const orders = await Order.find({
+    "reservation.status": "held",
+    "reservation.expiresAt": { $lt: Date.now() },
+  });
+
+  let released = 0;
+
+  for (const order of orders) {
+    // paid, cancelled or shipped in the meantime
+    if (!(await releaseOrderStock(order, ["held"]))) continue;
+
+    order.status = "Cancelled";
+    order.statusHistory.push({
+      status: "Cancelled",
+      changedBy: { ...SYSTEM_ACTOR, reason: "Payment not received in time" },
+    });
+    await order.save({ validateBeforeSave: false });
+
+    released++;
+  }
+
+  return released;
+};
+
+const isCashOnDelivery = (paymentInfo = {}) =>
+  /cash on delivery/i.test(paymentInfo.type || "");
+
+// orders whose payment the server verified keep their stock until they're
+// handled. Cash on delivery orders wait for the seller to confirm them, and
+// anything else has to be paid before the reservation runs out.
+const reservationFor = (paymentInfo = {}) => {
+  if (paymentInfo.status === "succeeded") {
+    return { status: "held" };
+  }
+
+  return {
+    status: "held",
+    expiresAt: isCashOnDelivery(paymentInfo)
+      ? new Date(Date.now() + CASH_ON_DELIVERY_HOURS * 60 * 60 * 1000)
+      : new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+  };
+};
+
+// the seller confirmed a cash on delivery order, it keeps its stock until it
+// is handled. Returns false when the stock is no longer held.
+const confirmReservation = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, "reservation.status": "held" },
+    { $unset: { "reservation.expiresAt": 1 } }
+  );
+
+  if (!result.matchedCount) {
+    return false;
+  }
+
+  order.set("reservation.expiresAt", undefined);
+
+  return true;
+};
+
+module.exports = {
+  resolveCartVariants,
+  reserveCart,
+  releaseCart,
+  isCashOnDelivery,
+  reservationFor,
+  confirmReservation,
+  commitOrderStock,
+  releaseOrderStock,
+  releaseExpiredReservations,
+};
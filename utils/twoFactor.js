@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const { generateSecret, verifyCode, keyUri } = require("./totp");
+
+const ISSUER = "Guriraline";
+const RECOVERY_CODE_COUNT = 10;
+
+// fields that are hidden by default and needed to check a code
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// start enrollment: the secret stays pending until a code proves the app has it
+const startEnrollment = async (account) => {
+  const secret = generateSecret();
+  const otpauthUrl = keyUri(secret, account.email, ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  account.twoFactor.pendingSecret = secret;
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+const finishEnrollment = (account, code) => {
+  const { pendingSecret } = account.twoFactor;
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const step = verifyCode(pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  account.twoFactor.enabled = true;
+  account.twoFactor.secret = pendingSecret;
+  account.twoFactor.pendingSecret = undefined;
+  account.twoFactor.recoveryCodes = hashes;
+  account.twoFactor.lastUsedStep = step;
+
+  return codes;
+};
+
+const disableTwoFactor = (account) => {
+  account.twoFactor.enabled = false;
+  account.twoFactor.secret = undefined;
+  account.twoFactor.pendingSecret = undefined;
+  account.twoFactor.recoveryCodes = [];
+  account.twoFactor.lastUsedStep = undefined;
+};
+
+// accepts an authenticator code or an unused recovery code, the account must
+// be saved afterwards since both are single use
+const checkTwoFactorCode = (account, code) => {
+  if (!account.twoFactor.enabled || !code) {
+    return false;
+  }
+
+  const step = verifyCode(account.twoFactor.secret, code);
+  if (step !== null) {
+    if (account.twoFactor.lastUsedStep && step <= account.twoFactor.lastUsedStep) {
+      return false;
+    }
+    account.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hash = hashRecoveryCode(String(code));
+  const index = account.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) {
+    return false;
+  }
+  account.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+const regenerateRecoveryCodes = (account) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  account.twoFactor.recoveryCodes = hashes;
+  return codes;
+};
+
+// short lived token that proves the password step passed
+const createTwoFactorChallenge = (account, accountModel) =>
+  jwt.sign(
+    { id: account._id, model: accountModel, purpose: "2fa" },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: "5m" }
+  );
+
+const verifyTwoFactorChallenge = (token, accountModel) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    if (decoded.purpose !== "2fa" || decoded.model !== accountModel) {
+      return null;
+    }
+    return decoded.id;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isAdminTwoFactorRequired = () =>
+  process.env.ADMIN_REQUIRE_2FA === "true";
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  finishEnrollment,
+  disableTwoFactor,
+  checkTwoFactorCode,
+  regenerateRecoveryCodes,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isAdminTwoFactorRequired,
+};
@@ -0,0 +1,27 @@
+// checks an address from the address book form, returns an error message or null
+const validateAddress = ({ country, city, zipCode }) => {
+  if (!country || !/^[A-Za-z]{2}$/.test(String(country).trim())) {
+    return "Please select a valid country";
+  }
+
+  if (!city || !String(city).trim() || String(city).trim().length > 100) {
+    return "Please enter a valid city";
+  }
+
+  if (zipCode === undefined || zipCode === null || !/^\d{3,10}$/.test(String(zipCode).trim())) {
+    return "Please enter a valid zip code";
+  }
+
+  return null;
+};
+
+const ADDRESS_FIELDS = [
+  "country",
+  "city",
+  "address1",
+  "address2",
+  "zipCode",
+  "addressType",
+];
+
+module.exports = { validateAddress, ADDRESS_FIELDS };
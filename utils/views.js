@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const Product = require("../model/product");
+const ViewEvent = require("../model/viewEvent");
+const ViewStat = require("../model/viewStat");
+const { hashToken, getClientIp } = require("./session");
+
+const HOUR = 60 * 60 * 1000;
+
+const VIEW_COOKIE = "view_session";
+const VIEW_COOKIE_DAYS = 365;
+
+// new views counted from one address per hour when logged out, past that
+// they are most likely not people browsing
+const MAX_ANONYMOUS_VIEWS_PER_HOUR = 100;
+
+// crawlers, link previews, scripts and headless browsers
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|scrape|preview|facebookexternalhit|whatsapp|headless|lighthouse|curl|wget|python|httpclient|java\/|go-http|axios|node-fetch|postman/i;
+
+// pages loaded ahead of time are not seen unless the user opens them, and
+// those send their own view
+const isBot = (req) => {
+  const userAgent = req.headers["user-agent"];
+  const purpose = req.headers["sec-purpose"] || req.headers.purpose || "";
+
+  return !userAgent || BOT_PATTERN.test(userAgent) || /prefetch|prerender/i.test(purpose);
+};
+
+const signViewSession = (id) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET_KEY).update(id).digest("base64url");
+
+// the id in the view cookie when the server issued it
+const readViewSession = (req) => {
+  const cookie = req.cookies && req.cookies[VIEW_COOKIE];
+
+  if (typeof cookie !== "string") return null;
+
+  const [id, signature] = cookie.split(".");
+  if (!id || !signature) return null;
+
+  const expected = signViewSession(id);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  return id;
+};
+
+// the browsing session a view belongs to: the login session, or else the id
+// the server gave the browser in a signed cookie, issued on its first view
+const viewSessionOf = (req, res) => {
+  if (req.authSession) {
+    return `user:${req.authSession._id}`;
+  }
+
+  let id = readViewSession(req);
+
+  if (!id) {
+    id = crypto.randomBytes(16).toString("hex");
+    res.cookie(VIEW_COOKIE, `${id}.${signViewSession(id)}`, {
+      expires: new Date(Date.now() + VIEW_COOKIE_DAYS * 24 * HOUR),
+      httpOnly: true,
+      sameSite: "none",
+      secure: true,
+      path: "/api/v2/view",
+    });
+  }
+
+  return `anon:${id}`;
+};
+
+const hourOf = (date) => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+
+// count a view once per session, in the hourly stats too. Returns whether it
+// was counted.
+const recordView = async (req, res, { targetType, targetId, category }) => {
+  const now = new Date();
+  const session = viewSessionOf(req, res);
+
+  // a browser dropping its cookie gets a new session on every view, so
+  // logged out views are capped per address as well
+  let ip;
+  if (!req.authSession) {
+    ip = hashToken(getClientIp(req) || "");
+
+    const recent = await ViewEvent.countDocuments({
+      ip,
+      createdAt: { $gte: new Date(now.getTime() - HOUR) },
+    });
+
+    if (recent >= MAX_ANONYMOUS_VIEWS_PER_HOUR) {
+      return false;
+    }
+  }
+
+  let result;
+  try {
+    result = await ViewEvent.updateOne(
+      { session, targetType, targetId },
+      {
+        $set: { lastViewedAt: now, ...(req.user && { user: req.user._id }) },
+        $setOnInsert: { createdAt: now, ...(ip && { ip }) },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // the same session sent the view twice at once
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (!result.upsertedCount) {
+    return false;
+  }
+
+  await ViewStat.updateOne(
+    { targetType, targetId, bucket: hourOf(now) },
+    { $inc: { views: 1 }, ...(category && { $set: { category } }) },
+    { upsert: true }
+  );
+
+  return true;
+};
+
+// products the user looked at last, most recent first
+const getRecentlyViewed = async (user, limit) => {
+  const views = await ViewEvent.aggregate([
+    { $match: { user: user._id, targetType: "product" } },
+    { $group: { _id: "$targetId", viewedAt: { $max: "$lastViewedAt" } } },
+    { $sort: { viewedAt: -1 } },
+    { $limit: limit },
+  ]);
+
+  const products = await Product.find({ _id: { $in: views.map((view) => view._id) } });
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return views
+    .filter((view) => byId.has(view._id.toString()))
+    .map((view) => ({
+      ...byId.get(view._id.toString()).toObject(),
+      viewedAt: view.viewedAt,
+    }));
+};
+
+// most viewed products over the last hours, in the categories when given
+const getTrendingProducts = async ({ hours, categoryIds, limit }) => {
+  const match = {
+    targetType: "product",
+    bucket: { $gte: hourOf(new Date(Date.now() - (hours - 1) * HOUR)) },
+  };
+
+  if (categoryIds) {
+    match.category = { $in: categoryIds };
+  }
+
+  const stats = await ViewStat.aggregate([
+    { $match: match },
+    { $group: { _id: "$targetId", views: { $sum: "$views" } } },
+    { $sort: { views: -1 } },
+    { $limit: limit },
+  ]);
+
+  const products = await Product.find({ _id: { $in: stats.map((stat) => stat._id) } });
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return stats
+    .filter((stat) => byId.has(stat._id.toString()))
+    .map((stat) => ({
+      ...byId.get(stat._id.toString()).toObject(),
+      views: stat.views,
+    }));
+};
+
+module.exports = {
+  isBot,
+  recordView,
+  getRecentlyViewed,
+  getTrendingProducts,
+};
@@ -0,0 +1,173 @@
+const Product = require("../model/product");
+const User = require("../model/user");
+const WishlistUpdate = require("../model/wishlistUpdate");
+const sendMail = require("./sendMail");
+
+// products told about per cron run, the rest wait for the next one
+const BATCH_SIZE = 500;
+
+const formatPrice = (price) => `${Number(price).toLocaleString("en-US")} RWF`;
+
+// what a wishlist entry remembers of the product, to tell what changed later
+const snapshotOf = (product) => ({
+  price: product.discountPrice,
+  inStock: product.stock > 0,
+});
+
+const sendWishlistMail = async (user, changes) => {
+  const lines = changes.map(({ product, priceDrop, backInStock }) => {
+    const news = [];
+    if (priceDrop) {
+      news.push(`dropped from ${formatPrice(priceDrop)} to ${formatPrice(product.discountPrice)}`);
+    }
+    if (backInStock) {
+      news.push("is back in stock");
+    }
+    return `- ${product.name} ${news.join(" and ")}`;
+  });
+
+  try {
+    await sendMail({
+      email: user.email,
+      subject:
+        changes.length === 1
+          ? `News about ${changes[0].product.name} on your wishlist`
+          : "News about products on your wishlist",
+      message: `Hello ${user.name}, good news about your wishlist:\n\n${lines.join("\n")}\n\nGet them before they are gone.`,
+    });
+    return true;
+  } catch (error) {
+    // the snapshot is saved anyway, so the user is not told twice later
+    return false;
+  }
+};
+
+// remember that the products changed, the users are emailed by the cron
+const queueWishlistNotifications = async (productIds) => {
+  const ids = [...new Set(productIds.map(String))];
+
+  if (!ids.length) return;
+
+  await WishlistUpdate.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { product: id },
+        update: { $setOnInsert: { queuedAt: new Date() } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+// email the users who wishlisted the queued products when their price dropped
+// or they came back in stock since the user was last told, and remember what
+// they were told
+const sendWishlistNotifications = async () => {
+  const queued = await WishlistUpdate.find()
+    .sort({ queuedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  if (!queued.length) {
+    return { products: 0, sent: 0, failed: 0 };
+  }
+
+  // claimed before reading the products, a change made meanwhile queues them
+  // again for the next run
+  await WishlistUpdate.deleteMany({ _id: { $in: queued.map((update) => update._id) } });
+
+  const ids = queued.map((update) => update.product);
+  const products = await Product.find({ _id: { $in: ids } }).select(
+    "name discountPrice stock"
+  );
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const users = await User.find({
+    "wishlist.product": { $in: products.map((product) => product._id) },
+  }).select("name email wishlist");
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    const changes = [];
+
+    for (const entry of user.wishlist) {
+      const product = byId.get(entry.product.toString());
+
+      if (!product) continue;
+
+      const snapshot = snapshotOf(product);
+
+      if (snapshot.price === entry.price && snapshot.inStock === entry.inStock) {
+        continue;
+      }
+
+      const change = { product };
+      if (snapshot.price < entry.price) {
+        change.priceDrop = entry.price;
+      }
+      if (snapshot.inStock && !entry.inStock) {
+        change.backInStock = true;
+      }
+      if (change.priceDrop || change.backInStock) {
+        changes.push(change);
+      }
+
+      await User.updateOne(
+        { _id: user._id, "wishlist._id": entry._id },
+        {
+          $set: {
+            "wishlist.$.price": snapshot.price,
+            "wishlist.$.inStock": snapshot.inStock,
+          },
+        }
+      );
+    }
+
+    if (changes.length) {
+      if (await sendWishlistMail(user, changes)) {
+        sent++;
+      } else {
+        failed++;
+      }
+    }
+  }
+
+  return { products: queued.length, sent, failed };
+};
+
+// how many users wishlisted each product of a shop, most wished first
+const getWishlistCounts = async (shopId) => {
+  const products = await Product.find({ shopId }).select(
+    "name images discountPrice stock"
+  );
+
+  const ids = products.map((product) => product._id);
+
+  const counts = await User.aggregate([
+    { $match: { "wishlist.product": { $in: ids } } },
+    { $unwind: "$wishlist" },
+    { $match: { "wishlist.product": { $in: ids } } },
+    { $group: { _id: "$wishlist.product", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map((count) => [count._id.toString(), count.count]));
+
+  return products
+    .map((product) => ({
+      productId: product._id,
+      name: product.name,
+      image: product.images.length ? product.images[0].url : undefined,
+      discountPrice: product.discountPrice,
+      stock: product.stock,
+      wishlistCount: countById.get(product._id.toString()) || 0,
+    }))
+    .sort((a, b) => b.wishlistCount - a.wishlistCount);
+};
+
+module.exports = {
+  snapshotOf,
+  queueWishlistNotifications,
+  sendWishlistNotifications,
+  getWishlistCounts,
+};